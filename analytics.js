@@ -0,0 +1,289 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { readStoredJSON, writeStoredJSON } from './storage.js';
+
+// --- Visitor Analytics ---
+// Records where visitors go and look: camera samples (position, gaze
+// direction and the surface point being looked at), viewpoint choices, tour
+// progress and session length. With an endpoint, events are queued in
+// localStorage, so nothing is lost while offline or across reloads, and
+// sent in batches. The queue is stored per endpoint, so events recorded
+// for one endpoint never go to another. Camera samples are also kept as a
+// local history for the floor-plan heatmaps (heatmap.js).
+//
+// Batches are POSTed as JSON text (no preflight, and the same body works
+// for sendBeacon when the page closes):
+//   { format: 'exiviz-analytics', version: 1, project, session, events }
+// An exported log has the same shape without `session`. Each event is
+// { type, time (ms since 1970), ...data }; samples are
+// { type: 'sample', time, position: [x, y, z], yaw, pitch,
+//   gaze: [x, y, z] | null, duration (s, the time the sample stands for) }.
+
+export const ANALYTICS_FORMAT = 'exiviz-analytics';
+export const ANALYTICS_VERSION = 1;
+export const EVENT_TYPES = [
+  'sessionstart',
+  'sample',
+  'view',
+  'tourstart',
+  'tourcomplete',
+  'tourend',
+  'sessionend',
+];
+
+const STORAGE_PREFIX = 'exiviz.analytics.';
+const MAX_QUEUE = 2000; // Unsent events kept while the endpoint is away
+// localStorage writes are synchronous and share a ~5 MB quota, so the
+// history stays small (~300 kB) and is written rarely: on this interval and
+// whenever the page is hidden or closed
+const MAX_HISTORY = 2000; // Samples kept for the heatmaps
+const SAVE_INTERVAL = 60; // s between localStorage writes
+const RETRY_DELAY = 30000; // ms before sending again after a failure
+
+export class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsError';
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Checks an exported log or (with requireSession) a batch as sent to the
+// endpoint, and returns it
+export function parseAnalyticsLog(data, { requireSession = false } = {}) {
+  if (!data || typeof data !== 'object' || data.format !== ANALYTICS_FORMAT) {
+    throw new AnalyticsError('This is not an analytics log.');
+  }
+  if (data.version !== ANALYTICS_VERSION) {
+    throw new AnalyticsError(
+      `Unsupported analytics log version ${data.version}.`,
+    );
+  }
+  if (requireSession && typeof data.session !== 'string') {
+    throw new AnalyticsError('An analytics batch needs a "session" id.');
+  }
+  if (!Array.isArray(data.events)) {
+    throw new AnalyticsError('An analytics log needs an "events" list.');
+  }
+  data.events.forEach((event, index) => {
+    if (!EVENT_TYPES.includes(event?.type) || !Number.isFinite(event.time)) {
+      throw new AnalyticsError(`Event ${index + 1} is not a valid event.`);
+    }
+    if (
+      event.type === 'sample' &&
+      !(
+        Array.isArray(event.position) &&
+        event.position.length === 3 &&
+        event.position.every(Number.isFinite) &&
+        Number.isFinite(event.duration)
+      )
+    ) {
+      throw new AnalyticsError(`Sample ${index + 1} has no valid position.`);
+    }
+  });
+  return data;
+}
+
+// project: a key for the stored data (e.g. the manifest URL); endpoint:
+// where batches go, or null to keep everything local
+export function createAnalytics({
+  project,
+  endpoint = null,
+  sampleInterval = 1,
+  batchSize = 20,
+}) {
+  const storageKey = STORAGE_PREFIX + project;
+  const queueKey = endpoint && `${storageKey}.queue.${endpoint}`;
+  const stored = readStoredJSON(storageKey);
+  const storedQueue = queueKey ? readStoredJSON(queueKey).queue : null;
+  const queue = Array.isArray(storedQueue) ? storedQueue : [];
+  const history = Array.isArray(stored.history)
+    ? stored.history.slice(-MAX_HISTORY)
+    : [];
+  const session = crypto.randomUUID();
+  const startTime = Date.now();
+  let visibleTime = 0; // ms, up to visibleSince
+  let visibleSince = performance.now();
+  let sampleTime = 0; // s since the last sample
+  let saveTime = 0;
+  let isSending = false;
+  let inFlight = new Set(); // Events the current fetch is sending
+  let lastFailure = -Infinity;
+  let hasEnded = false;
+
+  function saveQueue() {
+    if (queueKey) writeStoredJSON(queueKey, { queue });
+  }
+
+  function save() {
+    saveTime = 0;
+    writeStoredJSON(storageKey, { history });
+    saveQueue();
+  }
+
+  function batchOf(events) {
+    return JSON.stringify({
+      format: ANALYTICS_FORMAT,
+      version: ANALYTICS_VERSION,
+      project,
+      session,
+      events,
+    });
+  }
+
+  // Drop events the endpoint has accepted. They are removed by identity,
+  // not as a count from the head: a beacon may take events from the queue
+  // while a fetch is in flight.
+  function removeSent(events) {
+    const sent = new Set(events);
+    const kept = queue.filter((event) => !sent.has(event));
+    queue.splice(0, queue.length, ...kept);
+  }
+
+  // Send the oldest queued events; they stay queued until the endpoint
+  // has accepted them
+  async function flush() {
+    if (!endpoint || isSending || queue.length === 0) return;
+    if (performance.now() - lastFailure < RETRY_DELAY) return;
+    isSending = true;
+    const events = queue.slice(0, batchSize * 5);
+    inFlight = new Set(events);
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: batchOf(events),
+        keepalive: true,
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      removeSent(events);
+    } catch {
+      lastFailure = performance.now(); // Offline or refused; keep the events
+    } finally {
+      isSending = false;
+      inFlight = new Set();
+      saveQueue();
+    }
+  }
+
+  function push(event) {
+    if (!endpoint) return; // Nowhere to send it
+    queue.push(event);
+    if (queue.length > MAX_QUEUE) queue.splice(0, queue.length - MAX_QUEUE);
+    if (queue.length >= batchSize) flush();
+  }
+
+  function log(type, data = {}) {
+    if (!hasEnded) push({ type, time: Date.now(), ...data });
+  }
+
+  // Count time and take a sample every sampleInterval; readPose() returns
+  // { position, yaw, pitch, gaze } (gaze: the point looked at, or null).
+  // Returns true when a sample was taken.
+  function update(delta, readPose) {
+    if (hasEnded) return false;
+    saveTime += delta;
+    if (saveTime >= SAVE_INTERVAL) save();
+    sampleTime += delta;
+    if (sampleTime < sampleInterval) return false;
+
+    const { position, yaw, pitch, gaze } = readPose();
+    const sample = {
+      type: 'sample',
+      time: Date.now(),
+      position: position.toArray().map(round),
+      yaw: round(yaw),
+      pitch: round(pitch),
+      gaze: gaze ? gaze.toArray().map(round) : null,
+      duration: round(sampleTime),
+    };
+    sampleTime = 0;
+    history.push(sample);
+    if (history.length > MAX_HISTORY) {
+      history.splice(0, history.length - MAX_HISTORY);
+    }
+    push(sample);
+    return true;
+  }
+
+  // Only visible time counts as active; a hidden page also hands its
+  // events over, since mobile browsers may never fire pagehide
+  function setVisible(visible) {
+    if (visible === (visibleSince !== null)) return;
+    if (visible) {
+      visibleSince = performance.now();
+      sampleTime = 0; // The hidden time is not dwell time
+      return;
+    }
+    visibleTime += performance.now() - visibleSince;
+    visibleSince = null;
+    save();
+    sendBeacon();
+  }
+
+  function sendBeacon() {
+    if (!endpoint || !navigator.sendBeacon) return;
+    // A keepalive fetch in flight completes on its own
+    const events = queue
+      .filter((event) => !inFlight.has(event))
+      .slice(0, batchSize * 5);
+    if (events.length === 0) return;
+    const body = new Blob([batchOf(events)], { type: 'text/plain' });
+    if (navigator.sendBeacon(endpoint, body)) {
+      removeSent(events);
+      save();
+    }
+  }
+
+  // Close the session (when the page goes away)
+  function end() {
+    if (hasEnded) return;
+    if (visibleSince !== null) setVisible(false);
+    log('sessionend', {
+      duration: round((Date.now() - startTime) / 1000),
+      activeDuration: round(visibleTime / 1000),
+    });
+    hasEnded = true;
+    save();
+    sendBeacon();
+  }
+
+  // Everything recorded in this browser, as an analytics log
+  function toJSON() {
+    return {
+      format: ANALYTICS_FORMAT,
+      version: ANALYTICS_VERSION,
+      project,
+      events: [...history],
+    };
+  }
+
+  // Forget the local history (queued events are still sent)
+  function clearHistory() {
+    history.length = 0;
+    save();
+  }
+
+  log('sessionstart', {
+    referrer: document.referrer || null,
+    viewport: [window.innerWidth, window.innerHeight],
+  });
+
+  return {
+    log,
+    update,
+    flush,
+    setVisible,
+    end,
+    toJSON,
+    clearHistory,
+    session,
+    get history() {
+      return history;
+    },
+  };
+}
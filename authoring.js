@@ -0,0 +1,139 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Viewpoint Authoring ---
+// Edits the viewpoints and tour of a manifest in the manifest's own JSON
+// format, so the result can be saved as a project file and loaded back.
+// The tour is its own ordered list of stops, as in the manifest: a
+// viewpoint may be visited more than once, in any order, and each stop
+// keeps its dwell, caption and "via" points. Viewpoint ids never change
+// once created, since view links refer to them.
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/; // As in manifest.js
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// "Living Room" -> "livingRoom"
+function nameToId(name) {
+  const id = name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)?/g, (_, next) => (next ?? '').toUpperCase());
+  return ID_PATTERN.test(id) ? id : `view${id}`;
+}
+
+// source: the manifest JSON as written (see manifest.js loadManifest)
+export function createViewpointEditor(source) {
+  const viewpoints = structuredClone(source.viewpoints);
+  let start = source.start;
+  // Tour stop JSON, in tour order; every viewpoint when there is no tour
+  const stops = (source.tour ?? viewpoints.map(({ id }) => id)).map((entry) =>
+    typeof entry === 'string' ? { view: entry } : structuredClone(entry),
+  );
+
+  const indexOf = (id) => viewpoints.findIndex((v) => v.id === id);
+
+  function uniqueId(name) {
+    const base = nameToId(name);
+    let id = base;
+    for (let n = 2; indexOf(id) !== -1; n++) id = `${base}${n}`;
+    return id;
+  }
+
+  // Add a viewpoint at a camera pose ({ position: Vector3, pitch, yaw,
+  // mode }) and return its id
+  function add(name, pose) {
+    const id = uniqueId(name || 'view');
+    viewpoints.push({ id, name: name || id });
+    setPose(id, pose);
+    return id;
+  }
+
+  // Move a viewpoint to a new camera pose
+  function setPose(id, { position, pitch, yaw, mode }) {
+    const viewpoint = viewpoints[indexOf(id)];
+    if (!viewpoint) return;
+    viewpoint.position = position.toArray().map((v) => round(v, 2));
+    viewpoint.rotation = { pitch: round(pitch, 2), yaw: round(yaw, 2) };
+    viewpoint.mode = mode;
+  }
+
+  function rename(id, name) {
+    const viewpoint = viewpoints[indexOf(id)];
+    if (viewpoint && name.trim()) viewpoint.name = name.trim();
+  }
+
+  // Move a viewpoint up (step -1) or down (step 1) the list
+  function move(id, step) {
+    const from = indexOf(id);
+    const to = from + step;
+    if (from === -1 || to < 0 || to >= viewpoints.length) return;
+    [viewpoints[from], viewpoints[to]] = [viewpoints[to], viewpoints[from]];
+  }
+
+  function remove(id) {
+    const index = indexOf(id);
+    if (index === -1) return;
+    viewpoints.splice(index, 1);
+    for (let i = stops.length - 1; i >= 0; i--) {
+      if (stops[i].view === id) stops.splice(i, 1);
+    }
+    if (start === id) start = undefined; // Falls back to the first viewpoint
+  }
+
+  // Add a stop at a viewpoint to the end of the tour
+  function addStop(id) {
+    if (indexOf(id) !== -1) stops.push({ view: id });
+  }
+
+  // Move the stop at an index up (step -1) or down (step 1) the tour
+  function moveStop(index, step) {
+    const to = index + step;
+    if (index < 0 || index >= stops.length || to < 0 || to >= stops.length) {
+      return;
+    }
+    [stops[index], stops[to]] = [stops[to], stops[index]];
+  }
+
+  function removeStop(index) {
+    if (index >= 0 && index < stops.length) stops.splice(index, 1);
+  }
+
+  // The edited manifest, ready to save or validate
+  function toManifest() {
+    const manifest = {
+      ...source,
+      viewpoints: structuredClone(viewpoints),
+      // Plain ids for stops that don't add anything
+      tour: stops.map((stop) =>
+        Object.keys(stop).length === 1 ? stop.view : structuredClone(stop),
+      ),
+    };
+    if (start) {
+      manifest.start = start;
+    } else {
+      delete manifest.start;
+    }
+    return manifest;
+  }
+
+  return {
+    add,
+    setPose,
+    rename,
+    move,
+    remove,
+    addStop,
+    moveStop,
+    removeStop,
+    toManifest,
+    get viewpoints() {
+      return viewpoints;
+    },
+    get stops() {
+      return stops;
+    },
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Session Avatars ---
+// The other participants of a co-viewing session (session.js), each drawn
+// as a head with a nose pointing where they look and a name tag that shows
+// through walls. Avatars glide to each new camera state, since states only
+// arrive a few times a second.
+
+const HEAD_RADIUS = 0.15;
+const GLIDE_RATE = 13; // Per second; a fifth of the way per 60 Hz frame
+const LABEL_HEIGHT = 0.32; // m above the head's centre
+const HIDE_DISTANCE = 0.5; // m; closer avatars would fill the view
+
+const headGeometry = new THREE.SphereGeometry(HEAD_RADIUS, 24, 16);
+const noseGeometry = new THREE.ConeGeometry(0.06, 0.18, 16)
+  .rotateX(-Math.PI / 2) // Point along -Z, the camera's forward
+  .translate(0, 0, -HEAD_RADIUS - 0.06);
+
+// A stable color per participant
+function colorFor(id) {
+  let hash = 0;
+  for (const char of id) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return new THREE.Color().setHSL((Math.abs(hash) % 360) / 360, 0.7, 0.55);
+}
+
+function createLabel(name, color) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  context.beginPath();
+  context.roundRect(0, 0, canvas.width, canvas.height, 16);
+  context.fill();
+  context.font = 'bold 32px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillStyle = `#${color.getHexString()}`;
+  context.fillText(
+    name,
+    canvas.width / 2,
+    canvas.height / 2,
+    canvas.width - 16,
+  );
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const label = new THREE.Sprite(
+    new THREE.SpriteMaterial({ map: texture, depthTest: false }),
+  );
+  label.scale.set(0.6, 0.15, 1);
+  label.position.y = LABEL_HEIGHT;
+  label.renderOrder = 10;
+  return label;
+}
+
+export function createAvatars({ scene }) {
+  const group = new THREE.Group();
+  scene.add(group);
+  const avatars = new Map(); // Peer id -> { object, position, quaternion }
+  const euler = new THREE.Euler(0, 0, 0, 'YXZ'); // Yaw, then pitch
+
+  function createAvatar(peer) {
+    const color = colorFor(peer.id);
+    const material = new THREE.MeshBasicMaterial({ color });
+    const object = new THREE.Group();
+    object.add(
+      new THREE.Mesh(headGeometry, material),
+      new THREE.Mesh(noseGeometry, material),
+      createLabel(peer.name, color),
+    );
+    object.visible = false; // Until the first state
+    group.add(object);
+    return {
+      object,
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      hasState: false,
+    };
+  }
+
+  function disposeAvatar({ object }) {
+    group.remove(object);
+    object.traverse((child) => {
+      if (!child.material) return;
+      child.material.map?.dispose();
+      child.material.dispose();
+    });
+  }
+
+  // Match the avatars to the session's peers. hiddenId (the presenter being
+  // followed, whose camera is our own) gets no avatar.
+  function sync(peers, hiddenId = null) {
+    avatars.forEach((avatar, id) => {
+      if (!peers.has(id)) {
+        disposeAvatar(avatar);
+        avatars.delete(id);
+      }
+    });
+    peers.forEach((peer, id) => {
+      if (!avatars.has(id)) avatars.set(id, createAvatar(peer));
+      const avatar = avatars.get(id);
+      const { state } = peer;
+      // Participants looking at the floor plan aren't anywhere in the model
+      avatar.isShown = id !== hiddenId && state?.mode === 'first-person';
+      if (!avatar.isShown) return;
+      avatar.position.fromArray(state.position);
+      avatar.quaternion.setFromEuler(euler.set(state.pitch, state.yaw, 0));
+      if (!avatar.hasState) {
+        avatar.object.position.copy(avatar.position);
+        avatar.object.quaternion.copy(avatar.quaternion);
+        avatar.hasState = true;
+      }
+    });
+  }
+
+  // Glide towards the latest states, hiding avatars right at the viewer's
+  // camera (e.g. others following the same presenter); true while any
+  // avatar is moving. delta: seconds since the last frame.
+  function update(delta, viewerPosition) {
+    // The same pace at any frame rate
+    const glide = 1 - Math.exp(-GLIDE_RATE * delta);
+    let isMoving = false;
+    avatars.forEach(({ object, position, quaternion, isShown }) => {
+      object.visible =
+        isShown && object.position.distanceTo(viewerPosition) > HIDE_DISTANCE;
+      if (!isShown) return;
+      if (
+        object.position.distanceToSquared(position) > 1e-6 ||
+        object.quaternion.angleTo(quaternion) > 1e-3
+      ) {
+        object.position.lerp(position, glide);
+        object.quaternion.slerp(quaternion, glide);
+        isMoving = true;
+      }
+    });
+    return isMoving;
+  }
+
+  function clear() {
+    avatars.forEach(disposeAvatar);
+    avatars.clear();
+  }
+
+  // Hide all avatars (e.g. for image captures)
+  function setVisible(visible) {
+    group.visible = visible;
+  }
+
+  return { sync, update, clear, setVisible };
+}
@@ -0,0 +1,258 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Recorded Camera Paths ---
+// A walkthrough recorded by hand is a list of per-frame samples of the
+// camera rig: { time, position, pitch, yaw }. Stopping the recording thins
+// them out to keyframes (samples that straight-line interpolation between
+// their neighbours can't reproduce within a tolerance). Playback runs a
+// Catmull-Rom spline through the keyframes, evaluated by time, so a path
+// replays identically at any frame rate.
+//
+// Saved paths are JSON:
+//   { "format": "exiviz-camera-path", "version": 1,
+//     "keyframes": [{ "time": 0, "position": [x, y, z], "pitch": 0, "yaw": 0 }] }
+
+export const PATH_FORMAT = 'exiviz-camera-path';
+const PATH_VERSION = 1;
+const POSITION_TOLERANCE = 0.02; // m
+const ANGLE_TOLERANCE = 0.01; // rad
+const MIN_KEYFRAME_GAP = 0.05; // s between edited keyframe times
+
+// Thrown for JSON that isn't a usable camera path
+export class CameraPathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CameraPathError';
+  }
+}
+
+const isFiniteNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value);
+
+// How far sample is from the straight line between a and b at its time,
+// in multiples of the tolerances (above 1 means it must be kept)
+function deviation(a, b, sample) {
+  const t = (sample.time - a.time) / (b.time - a.time);
+  const position = a.position.clone().lerp(b.position, t);
+  const pitch = THREE.MathUtils.lerp(a.pitch, b.pitch, t);
+  const yaw = THREE.MathUtils.lerp(a.yaw, b.yaw, t);
+  return Math.max(
+    position.distanceTo(sample.position) / POSITION_TOLERANCE,
+    Math.abs(pitch - sample.pitch) / ANGLE_TOLERANCE,
+    Math.abs(yaw - sample.yaw) / ANGLE_TOLERANCE,
+  );
+}
+
+// Ramer-Douglas-Peucker over time: keep the samples that matter
+function simplify(samples) {
+  if (samples.length <= 2) return samples;
+  const keep = new Set([0, samples.length - 1]);
+  const spans = [[0, samples.length - 1]];
+  while (spans.length > 0) {
+    const [first, last] = spans.pop();
+    let worst = -1;
+    let worstDeviation = 1;
+    for (let i = first + 1; i < last; i++) {
+      const d = deviation(samples[first], samples[last], samples[i]);
+      if (d > worstDeviation) {
+        worst = i;
+        worstDeviation = d;
+      }
+    }
+    if (worst === -1) continue;
+    keep.add(worst);
+    spans.push([first, worst], [worst, last]);
+  }
+  return [...keep].sort((a, b) => a - b).map((i) => samples[i]);
+}
+
+// Cubic Hermite interpolation between p1 (at t1) and p2 (at t2), with
+// Catmull-Rom tangents from the neighbours p0 (t0) and p3 (t3)
+function hermite(p0, p1, p2, p3, t0, t1, t2, t3, time) {
+  const h = t2 - t1;
+  const s = (time - t1) / h;
+  const m1 = ((p2 - p0) / (t2 - t0)) * h;
+  const m2 = ((p3 - p1) / (t3 - t1)) * h;
+  const s2 = s * s;
+  const s3 = s2 * s;
+  return (
+    (2 * s3 - 3 * s2 + 1) * p1 +
+    (s3 - 2 * s2 + s) * m1 +
+    (-2 * s3 + 3 * s2) * p2 +
+    (s3 - s2) * m2
+  );
+}
+
+const channels = (keyframe) => [
+  keyframe.position.x,
+  keyframe.position.y,
+  keyframe.position.z,
+  keyframe.pitch,
+  keyframe.yaw,
+];
+
+// keyframes: [{ time, position: Vector3, pitch, yaw }], times ascending
+// from 0
+export function createCameraPath(keyframes) {
+  // Index of the keyframe that starts the segment containing time
+  function segmentAt(time) {
+    for (let i = keyframes.length - 2; i >= 0; i--) {
+      if (keyframes[i].time <= time) return i;
+    }
+    return 0;
+  }
+
+  // The rig pose at a time (clamped to the path)
+  function poseAt(time) {
+    const duration = keyframes[keyframes.length - 1].time;
+    const t = THREE.MathUtils.clamp(time, 0, duration);
+    if (keyframes.length === 1) {
+      const [only] = keyframes;
+      return {
+        position: only.position.clone(),
+        pitch: only.pitch,
+        yaw: only.yaw,
+      };
+    }
+
+    const i = segmentAt(t);
+    // The ends repeat themselves as their missing neighbours
+    const k0 = keyframes[Math.max(i - 1, 0)];
+    const k1 = keyframes[i];
+    const k2 = keyframes[i + 1];
+    const k3 = keyframes[Math.min(i + 2, keyframes.length - 1)];
+    const [c0, c1, c2, c3] = [k0, k1, k2, k3].map(channels);
+    const values = c1.map((_, n) =>
+      hermite(
+        c0[n],
+        c1[n],
+        c2[n],
+        c3[n],
+        k0.time,
+        k1.time,
+        k2.time,
+        k3.time,
+        t,
+      ),
+    );
+    return {
+      position: new THREE.Vector3(values[0], values[1], values[2]),
+      pitch: values[3],
+      yaw: values[4],
+    };
+  }
+
+  // Move one keyframe in time, staying between its neighbours. The first
+  // keyframe always starts the path.
+  function setKeyframeTime(index, time) {
+    if (index <= 0 || index >= keyframes.length) return;
+    const previous = keyframes[index - 1].time + MIN_KEYFRAME_GAP;
+    const next =
+      index < keyframes.length - 1
+        ? keyframes[index + 1].time - MIN_KEYFRAME_GAP
+        : Infinity;
+    keyframes[index].time = THREE.MathUtils.clamp(time, previous, next);
+  }
+
+  // Speed the whole path up or down to last duration seconds
+  function setDuration(duration) {
+    const current = keyframes[keyframes.length - 1].time;
+    if (!(duration > 0) || current === 0) return;
+    const scale = duration / current;
+    keyframes.forEach((keyframe) => {
+      keyframe.time *= scale;
+    });
+  }
+
+  function toJSON() {
+    const round = (v) => Number(v.toFixed(4));
+    return {
+      format: PATH_FORMAT,
+      version: PATH_VERSION,
+      keyframes: keyframes.map(({ time, position, pitch, yaw }) => ({
+        time: round(time),
+        position: position.toArray().map(round),
+        pitch: round(pitch),
+        yaw: round(yaw),
+      })),
+    };
+  }
+
+  return {
+    poseAt,
+    setKeyframeTime,
+    setDuration,
+    toJSON,
+    get duration() {
+      return keyframes[keyframes.length - 1].time;
+    },
+    get keyframes() {
+      return keyframes;
+    },
+  };
+}
+
+// A path from recorded samples, starting at time 0
+export function createPathFromSamples(samples) {
+  if (samples.length === 0) {
+    throw new CameraPathError('Nothing was recorded.');
+  }
+  const start = samples[0].time;
+  return createCameraPath(
+    simplify(samples).map((sample) => ({
+      ...sample,
+      time: sample.time - start,
+    })),
+  );
+}
+
+// A path from saved JSON (already parsed)
+export function parseCameraPath(data) {
+  if (!data || data.format !== PATH_FORMAT) {
+    throw new CameraPathError('This file is not a camera path.');
+  }
+  if (data.version !== PATH_VERSION) {
+    throw new CameraPathError(
+      `Camera path version ${data.version} is not supported.`,
+    );
+  }
+  if (!Array.isArray(data.keyframes) || data.keyframes.length === 0) {
+    throw new CameraPathError('The camera path has no keyframes.');
+  }
+
+  const keyframes = data.keyframes.map((keyframe, index) => {
+    const isValid =
+      keyframe &&
+      isFiniteNumber(keyframe.time) &&
+      Array.isArray(keyframe.position) &&
+      keyframe.position.length === 3 &&
+      keyframe.position.every(isFiniteNumber) &&
+      isFiniteNumber(keyframe.pitch) &&
+      isFiniteNumber(keyframe.yaw);
+    if (!isValid) {
+      throw new CameraPathError(
+        `Keyframe ${index + 1} needs a time, a position [x, y, z], a pitch and a yaw.`,
+      );
+    }
+    return {
+      time: keyframe.time,
+      position: new THREE.Vector3(...keyframe.position),
+      pitch: keyframe.pitch,
+      yaw: keyframe.yaw,
+    };
+  });
+
+  const start = keyframes[0].time;
+  keyframes.forEach((keyframe, index) => {
+    keyframe.time -= start;
+    if (index > 0 && keyframe.time <= keyframes[index - 1].time) {
+      throw new CameraPathError('Keyframe times must increase.');
+    }
+  });
+  return createCameraPath(keyframes);
+}
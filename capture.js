@@ -0,0 +1,246 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Image Capture ---
+// Renders stills and 360° panoramas at a fixed resolution, whatever the
+// window size. The renderer's drawing buffer is resized for the one frame,
+// read back as a PNG and restored before the next animation frame, so the
+// image goes through the same tone mapping and color conversion as the
+// live view. Panoramas render a cube map at the camera position and unwrap
+// it to an equirectangular image with a full-screen shader.
+//
+// Videos are recorded from the canvas with MediaRecorder. The caller draws
+// each frame for a given time; frames are handed to the recorder one at a
+// time and paced at the video frame rate, because MediaRecorder timestamps
+// frames by when it receives them.
+
+export const STILL_SIZES = [
+  { label: 'Full HD', width: 1920, height: 1080 },
+  { label: '4K', width: 3840, height: 2160 },
+  { label: '8K', width: 7680, height: 4320 },
+];
+export const PANORAMA_WIDTHS = [4096, 8192]; // Height is half the width
+export const VIDEO_SIZE = { width: 1920, height: 1080 };
+export const VIDEO_FPS = 30;
+
+const VIDEO_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+const VIDEO_BITRATE = 12_000_000;
+
+const NEAR = 0.01;
+const FAR = 1000;
+
+// Thrown when a size is beyond what the device's GPU can render
+export class CaptureSizeError extends Error {
+  constructor(width, height) {
+    super(`${width}×${height} is too large for this device.`);
+    this.name = 'CaptureSizeError';
+  }
+}
+
+// Thrown when the browser can't record WebM video from a canvas
+export class VideoUnsupportedError extends Error {
+  constructor() {
+    super('This browser cannot record WebM video.');
+    this.name = 'VideoUnsupportedError';
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// canvas.toBlob takes its snapshot immediately, so the caller may change the
+// canvas right after this returns
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The image could not be encoded.'));
+      }
+    }, 'image/png');
+  });
+}
+
+// Equirectangular unwrap of a cube map. u runs clockwise (seen from above)
+// from behind the camera, so the view direction (yaw) is in the middle.
+const equirectMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    envMap: { value: null },
+    yaw: { value: 0 },
+  },
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    #include <common>
+    uniform samplerCube envMap;
+    uniform float yaw;
+    varying vec2 vUv;
+    void main() {
+      float heading = yaw - (vUv.x - 0.5) * 2.0 * PI;
+      float latitude = (vUv.y - 0.5) * PI;
+      vec3 direction = vec3(
+        -sin(heading) * cos(latitude),
+        sin(latitude),
+        -cos(heading) * cos(latitude)
+      );
+      gl_FragColor = textureCube(envMap, direction);
+      #include <tonemapping_fragment>
+      #include <colorspace_fragment>
+    }
+  `,
+  depthTest: false,
+  depthWrite: false,
+});
+
+export function createCapture({ renderer }) {
+  const savedSize = new THREE.Vector2();
+  let savedPixelRatio = 1;
+  const equirectScene = new THREE.Scene();
+  equirectScene.add(
+    new THREE.Mesh(new THREE.PlaneGeometry(2, 2), equirectMaterial),
+  );
+  const equirectCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  // Resize the drawing buffer to exactly width x height (restoreSize puts
+  // the window size back)
+  function setCaptureSize(width, height) {
+    const gl = renderer.getContext();
+    savedPixelRatio = renderer.getPixelRatio();
+    renderer.getSize(savedSize);
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    // Browsers quietly shrink buffers they can't allocate
+    if (gl.drawingBufferWidth < width || gl.drawingBufferHeight < height) {
+      throw new CaptureSizeError(width, height);
+    }
+  }
+
+  function restoreSize() {
+    renderer.setPixelRatio(savedPixelRatio);
+    renderer.setSize(savedSize.x, savedSize.y, false);
+  }
+
+  // Resize the drawing buffer to width x height, let draw(renderer) render
+  // one frame and resolve to it as a PNG blob. Everything up to the
+  // snapshot happens before this returns.
+  async function renderToPng(width, height, draw) {
+    try {
+      setCaptureSize(width, height);
+      draw(renderer);
+      return canvasToBlob(renderer.domElement);
+    } finally {
+      restoreSize();
+    }
+  }
+
+  // Record duration seconds as a WebM blob, with draw(renderer, time)
+  // rendering each frame. This takes as long as the video itself, during
+  // which nothing else may render to the canvas. onProgress gets 0..1.
+  async function renderVideo(width, height, duration, draw, onProgress) {
+    const mimeType =
+      typeof MediaRecorder !== 'undefined' &&
+      VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType || !renderer.domElement.captureStream) {
+      throw new VideoUnsupportedError();
+    }
+
+    const stream = renderer.domElement.captureStream(0); // Frames on request
+    const [track] = stream.getVideoTracks();
+    const chunks = [];
+    try {
+      setCaptureSize(width, height);
+      const recorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: VIDEO_BITRATE,
+      });
+      recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      });
+      const stopped = new Promise((resolve) =>
+        recorder.addEventListener('stop', resolve),
+      );
+
+      const frameCount = Math.floor(duration * VIDEO_FPS) + 1;
+      recorder.start();
+      const start = performance.now();
+      for (let frame = 0; frame < frameCount; frame++) {
+        draw(renderer, Math.min(frame / VIDEO_FPS, duration));
+        track.requestFrame();
+        onProgress?.((frame + 1) / frameCount);
+        await wait(
+          start + ((frame + 1) * 1000) / VIDEO_FPS - performance.now(),
+        );
+      }
+      recorder.stop();
+      await stopped;
+    } finally {
+      track.stop();
+      restoreSize();
+    }
+    return new Blob(chunks, { type: 'video/webm' });
+  }
+
+  // A perspective still from a camera (only layer 0 is rendered, which
+  // leaves out editing handles and plan markers)
+  async function renderStill(scene, camera, width, height) {
+    const stillCamera = new THREE.PerspectiveCamera(
+      camera.fov,
+      width / height,
+      camera.near,
+      camera.far,
+    );
+    camera.updateWorldMatrix(true, false);
+    camera.matrixWorld.decompose(
+      stillCamera.position,
+      stillCamera.quaternion,
+      stillCamera.scale,
+    );
+    stillCamera.updateMatrixWorld();
+    return renderToPng(width, height, () =>
+      renderer.render(scene, stillCamera),
+    );
+  }
+
+  // A 360° equirectangular panorama from position, centred on yaw. The cube
+  // faces match the panorama's pixel density at the horizon.
+  async function renderPanorama(scene, position, yaw, width) {
+    const faceSize = Math.ceil(width / Math.PI);
+    if (faceSize > renderer.capabilities.maxCubemapSize) {
+      throw new CaptureSizeError(width, width / 2);
+    }
+    const target = new THREE.WebGLCubeRenderTarget(faceSize, {
+      type: THREE.HalfFloatType, // Linear HDR until the unwrap tone maps it
+      stencilBuffer: true, // For the section tool's caps
+    });
+    const cubeCamera = new THREE.CubeCamera(NEAR, FAR, target);
+    cubeCamera.position.copy(position);
+    cubeCamera.updateMatrixWorld();
+
+    try {
+      cubeCamera.update(renderer, scene);
+      equirectMaterial.uniforms.envMap.value = target.texture;
+      equirectMaterial.uniforms.yaw.value = yaw;
+      return renderToPng(width, width / 2, () =>
+        renderer.render(equirectScene, equirectCamera),
+      );
+    } finally {
+      equirectMaterial.uniforms.envMap.value = null;
+      target.dispose();
+    }
+  }
+
+  return { renderToPng, renderStill, renderPanorama, renderVideo };
+}
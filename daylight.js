@@ -0,0 +1,299 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+import { Sky } from 'three/addons/objects/Sky.js';
+
+// --- Daylight Study ---
+// The "daylight" render mode (rendering.js) lights the model with the sun
+// for a place, day and time: a shadow-casting directional light where the
+// sun stands, plus a Preetham sky that is both the background and the
+// image-based light. Exposure follows the sun, so dusk looks dim but not
+// black. The site is given by the manifest's "daylight" section:
+//   latitude, longitude  degrees (north and east are positive)
+//   northOffset          degrees clockwise (seen from above) from the
+//                        model's -Z axis to true north
+//   utcOffset            hours; the site's standard time, which the day
+//                        and time are in (daylight saving is not applied)
+// Times are minutes since the site's midnight.
+
+export const DAY_MINUTES = 24 * 60;
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588; // Julian day of the Unix epoch
+const J2000 = 2451545;
+const OBLIQUITY = 23.4397 * RAD; // Of the Earth's axis
+const HORIZON = -0.833 * RAD; // Sun altitude at sunrise (refraction, disc)
+const PLAY_SPEED = 60; // Minutes of the day per second
+const SKY_STEP = 1 * RAD; // Sun movement before the sky is redrawn
+const SUN_INTENSITY = 3;
+const NIGHT_LIGHT = 0.15; // Hemisphere fill, so interiors stay readable
+const DAY_EXPOSURE = 0.5;
+const DUSK_EXPOSURE = 1.5;
+
+const NOON_COLOR = new THREE.Color(0xfff4e5);
+const HORIZON_COLOR = new THREE.Color(0xff9a4d);
+
+// Where the sun stands at a time (ms since 1970) seen from a place
+// (degrees), in radians: azimuth clockwise from north, altitude above the
+// horizon. A low-precision solar ephemeris, good to a fraction of a degree.
+export function getSunPosition(time, latitude, longitude) {
+  const days = time / DAY_MS - 0.5 + J1970 - J2000;
+  const anomaly = RAD * (357.5291 + 0.98560028 * days);
+  const center =
+    RAD *
+    (1.9148 * Math.sin(anomaly) +
+      0.02 * Math.sin(2 * anomaly) +
+      0.0003 * Math.sin(3 * anomaly));
+  const eclipticLongitude = anomaly + center + RAD * 102.9372 + Math.PI;
+  const declination = Math.asin(
+    Math.sin(OBLIQUITY) * Math.sin(eclipticLongitude),
+  );
+  const rightAscension = Math.atan2(
+    Math.sin(eclipticLongitude) * Math.cos(OBLIQUITY),
+    Math.cos(eclipticLongitude),
+  );
+  const siderealTime = RAD * (280.16 + 360.9856235 * days + longitude);
+  const hourAngle = siderealTime - rightAscension;
+  const phi = RAD * latitude;
+  const altitude = Math.asin(
+    Math.sin(phi) * Math.sin(declination) +
+      Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle),
+  );
+  const azimuth =
+    Math.atan2(
+      Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.sin(phi) -
+        Math.tan(declination) * Math.cos(phi),
+    ) + Math.PI; // The formula counts from south
+  return { azimuth, altitude };
+}
+
+// A compass point for an azimuth in radians, e.g. "SW"
+export function compassPoint(azimuth) {
+  const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  return points[Math.round(azimuth / (Math.PI / 4)) % 8];
+}
+
+// "HH:MM" for minutes since midnight
+export function formatMinutes(minutes) {
+  const rounded = Math.round(minutes) % DAY_MINUTES;
+  const hours = String(Math.floor(rounded / 60)).padStart(2, '0');
+  return `${hours}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+// The site's current day ("YYYY-MM-DD") and time
+function getSiteNow(utcOffset) {
+  const now = new Date(Date.now() + utcOffset * 3600000);
+  return {
+    day: now.toISOString().slice(0, 10),
+    minutes: now.getUTCHours() * 60 + now.getUTCMinutes(),
+  };
+}
+
+// location: the manifest's "daylight" section. renderModes gets each new
+// sky, as the environment and exposure of the "daylight" mode.
+export function createDaylight({ renderer, scene, renderModes, location }) {
+  const { latitude, longitude, northOffset, utcOffset } = location;
+  const pmremGenerator = new THREE.PMREMGenerator(renderer);
+
+  const sun = new THREE.DirectionalLight(NOON_COLOR, SUN_INTENSITY);
+  sun.castShadow = true;
+  sun.shadow.mapSize.set(2048, 2048);
+  sun.shadow.bias = -0.0005;
+  sun.shadow.normalBias = 0.02;
+  const fill = new THREE.HemisphereLight(0x9db4ff, 0x3d3a36, NIGHT_LIGHT);
+
+  // The sky is only rendered into the environment map. Its sun disc is left
+  // out: the directional light is the sun, and a disc in the environment
+  // would light rooms through their walls.
+  const skyScene = new THREE.Scene();
+  const sky = new Sky();
+  sky.scale.setScalar(10);
+  sky.material.fragmentShader = sky.material.fragmentShader.replace(
+    'L0 += ( vSunE * 19000.0 * Fex ) * sundisk;',
+    '',
+  );
+  sky.material.uniforms.turbidity.value = 6;
+  sky.material.uniforms.rayleigh.value = 1.5;
+  skyScene.add(sky);
+  let environmentTarget = null;
+  const skyDirection = new THREE.Vector3(); // Of the current environment
+
+  const direction = new THREE.Vector3(0, 1, 0); // Towards the sun, in the model
+  const center = new THREE.Vector3();
+  let radius = 10; // Of the model's bounding sphere
+  let isEnabled = false;
+  let isPlaying = false;
+  let { day, minutes } = getSiteNow(utcOffset);
+  let sunrise = null; // Minutes, or null when the sun doesn't rise or set
+  let sunset = null;
+  let position = { azimuth: 0, altitude: 0 };
+
+  // ms since 1970 for a time on the current day
+  const timeOf = (value) =>
+    Date.parse(`${day}T00:00:00Z`) + (value - utcOffset * 60) * 60000;
+
+  const altitudeAt = (value) =>
+    getSunPosition(timeOf(value), latitude, longitude).altitude;
+
+  // Sunrise and sunset, found by stepping through the day
+  function findSunTimes() {
+    const step = 10;
+    sunrise = null;
+    sunset = null;
+    let previous = altitudeAt(0) - HORIZON;
+    for (let value = step; value <= DAY_MINUTES; value += step) {
+      const current = altitudeAt(value) - HORIZON;
+      if (Math.sign(current) !== Math.sign(previous)) {
+        const crossing =
+          value - step + (step * previous) / (previous - current);
+        if (current > 0 && sunrise === null) sunrise = crossing;
+        if (current < 0) sunset = crossing;
+      }
+      previous = current;
+    }
+  }
+
+  // How far into the day the light is, from 0 (night) to 1 (sun well up)
+  const dayFactor = () =>
+    THREE.MathUtils.smoothstep(Math.sin(position.altitude), -0.05, 0.35);
+
+  function updateSky() {
+    skyDirection.copy(direction);
+    sky.material.uniforms.sunPosition.value.copy(direction);
+    const previous = environmentTarget;
+    environmentTarget = pmremGenerator.fromScene(skyScene);
+    renderModes.setDaylight(
+      environmentTarget.texture,
+      THREE.MathUtils.lerp(DUSK_EXPOSURE, DAY_EXPOSURE, dayFactor()),
+    );
+    previous?.dispose();
+  }
+
+  function updateSun() {
+    position = getSunPosition(timeOf(minutes), latitude, longitude);
+    const { azimuth, altitude } = position;
+    const bearing = azimuth + northOffset * RAD; // Clockwise from -Z
+    direction.set(
+      Math.cos(altitude) * Math.sin(bearing),
+      Math.sin(altitude),
+      -Math.cos(altitude) * Math.cos(bearing),
+    );
+
+    // Low suns are weaker and warmer; below the horizon there is none
+    const height = Math.sin(altitude);
+    sun.intensity =
+      SUN_INTENSITY *
+      THREE.MathUtils.smoothstep(height, Math.sin(HORIZON), 0.1);
+    sun.color.lerpColors(
+      HORIZON_COLOR,
+      NOON_COLOR,
+      THREE.MathUtils.smoothstep(height, 0, 0.4),
+    );
+    sun.visible = sun.intensity > 0; // No shadow pass at night
+    fill.intensity = NIGHT_LIGHT * (1 - dayFactor());
+    sun.target.position.copy(center);
+    sun.position.copy(direction).multiplyScalar(radius).add(center);
+
+    if (isEnabled && direction.angleTo(skyDirection) > SKY_STEP) updateSky();
+  }
+
+  // Size the shadow camera to the model (a Box3), so its shadows are sharp
+  // but complete
+  function fitTo(box) {
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    center.copy(sphere.center);
+    radius = Math.max(sphere.radius, 1);
+    const camera = sun.shadow.camera;
+    camera.left = camera.bottom = -radius;
+    camera.right = camera.top = radius;
+    camera.near = 0;
+    camera.far = 2 * radius;
+    camera.updateProjectionMatrix();
+    updateSun();
+  }
+
+  // Add the sun to the scene (for the "daylight" render mode), or take it
+  // away
+  function setEnabled(enabled) {
+    if (enabled === isEnabled) return;
+    isEnabled = enabled;
+    if (enabled) {
+      scene.add(sun, sun.target, fill);
+      updateSky();
+    } else {
+      scene.remove(sun, sun.target, fill);
+      isPlaying = false;
+    }
+  }
+
+  // A day as "YYYY-MM-DD"
+  function setDay(value) {
+    if (Number.isNaN(Date.parse(`${value}T00:00:00Z`))) return;
+    day = value;
+    findSunTimes();
+    updateSun();
+  }
+
+  function setTime(value) {
+    minutes = THREE.MathUtils.clamp(value, 0, DAY_MINUTES - 1);
+    updateSun();
+  }
+
+  // Play from sunrise (or from now, if the sun is up) to sunset
+  function play() {
+    const start = sunrise ?? 0;
+    const end = sunset ?? DAY_MINUTES - 1;
+    if (minutes < start || minutes >= end) setTime(start);
+    isPlaying = true;
+  }
+
+  function pause() {
+    isPlaying = false;
+  }
+
+  // Advance the time while playing; true while it is
+  function update(delta) {
+    if (!isPlaying) return false;
+    const end = sunset ?? DAY_MINUTES - 1;
+    setTime(Math.min(minutes + delta * PLAY_SPEED, end));
+    if (minutes >= end) isPlaying = false;
+    return true;
+  }
+
+  findSunTimes();
+  if (altitudeAt(minutes) < HORIZON) minutes = DAY_MINUTES / 2; // Open in daylight
+  updateSun();
+
+  return {
+    fitTo,
+    setEnabled,
+    setDay,
+    setTime,
+    play,
+    pause,
+    update,
+    get day() {
+      return day;
+    },
+    get minutes() {
+      return minutes;
+    },
+    get sunrise() {
+      return sunrise;
+    },
+    get sunset() {
+      return sunset;
+    },
+    get position() {
+      return position;
+    },
+    get isPlaying() {
+      return isPlaying;
+    },
+  };
+}
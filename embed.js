@@ -0,0 +1,112 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Embedding API ---
+// Lets a host page drive the viewer and follow what it does.
+//
+// Same page: `window.exiviz` has the methods below plus
+// `on(event, listener)`, which returns a function that removes the listener.
+//
+//   goToView(id, { immediate })  Travel (or jump) to a manifest viewpoint
+//   startTour(id)                Start the guided tour, at stop id if given
+//   stopTour()
+//   setMode(mode)                "first-person" or "floor-plan"
+//   getCameraState()             { mode, position: [x, y, z], pitch, yaw,
+//                                  viewId, isTourActive }
+//
+// Iframe hosts: post { type: 'exiviz:call', id, method, args } to the
+// iframe's window. The viewer answers { type: 'exiviz:result', id, result }
+// or { type: 'exiviz:result', id, error } (a message). Only origins listed
+// in the manifest's "embed.allowedOrigins" are answered or sent events;
+// everything else is ignored.
+//
+// Events, as listener(detail) or { type: 'exiviz:event', event, detail }:
+//
+//   loadprogress  { progress (0..1), isCriticalReady }
+//   ready         {} once the model is on screen
+//   viewchange    getCameraState(), when the camera comes to rest somewhere new
+//   tourstep      { index, viewId } as the tour reaches each stop
+//   tourend       {}
+//   error         { message }
+//
+// Events before the manifest has loaded (a manifest that fails to load, for
+// example) only reach same-page listeners: the allow-list isn't known yet.
+
+export const EMBED_EVENTS = [
+  'loadprogress',
+  'ready',
+  'viewchange',
+  'tourstep',
+  'tourend',
+  'error',
+];
+
+const CALL_TYPE = 'exiviz:call';
+const RESULT_TYPE = 'exiviz:result';
+const EVENT_TYPE = 'exiviz:event';
+
+// Thrown to callers for unknown methods, viewpoints or modes
+export class EmbedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmbedError';
+  }
+}
+
+// methods: { name: function } exposed to hosts
+export function createEmbedBridge({ methods }) {
+  const listeners = new Map(EMBED_EVENTS.map((event) => [event, new Set()]));
+  let allowedOrigins = [];
+  const host = window.parent !== window ? window.parent : null;
+
+  function on(event, listener) {
+    const set = listeners.get(event);
+    if (!set) throw new EmbedError(`Unknown event "${event}".`);
+    set.add(listener);
+    return () => set.delete(listener);
+  }
+
+  function emit(event, detail = {}) {
+    listeners.get(event).forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`An error happened in an "${event}" listener:`, error);
+      }
+    });
+    // postMessage drops the message unless the host has this origin
+    allowedOrigins.forEach((origin) => {
+      host?.postMessage({ type: EVENT_TYPE, event, detail }, origin);
+    });
+  }
+
+  async function call(method, args) {
+    if (!Object.hasOwn(methods, method)) {
+      throw new EmbedError(`Unknown method "${method}".`);
+    }
+    return methods[method](...(Array.isArray(args) ? args : []));
+  }
+
+  window.addEventListener('message', (e) => {
+    if (!allowedOrigins.includes(e.origin) || e.data?.type !== CALL_TYPE) {
+      return;
+    }
+    const { id, method, args } = e.data;
+    const reply = (message) =>
+      e.source?.postMessage({ type: RESULT_TYPE, id, ...message }, e.origin);
+    call(method, args).then(
+      (result) => reply({ result }),
+      (error) => reply({ error: error.message }),
+    );
+  });
+
+  // Origins that may call methods and receive events
+  function setAllowedOrigins(origins) {
+    allowedOrigins = [...origins];
+  }
+
+  const api = { ...methods, on };
+  return { api, emit, setAllowedOrigins };
+}
@@ -0,0 +1,254 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Orthographic Floor Plan ---
+// A top-down orthographic camera with pan and zoom-to-cursor. Room labels
+// (from the first-person viewpoints) and a "you are here" marker with a view
+// cone are drawn on top. The ceiling is cut away by the section tool's
+// horizontal plane (section.js), which starts at cutHeight.
+//
+// Floor-plan viewpoints keep the manifest format used for first-person ones:
+// position.x/z is the plan centre, position.y the height a perspective
+// camera would hover at to frame the same area, and rotation.y the plan's
+// orientation (which direction is "up" on screen).
+
+export const PLAN_LAYER = 1; // Objects only the plan camera renders
+
+const REFERENCE_FOV = THREE.MathUtils.degToRad(75); // The first-person camera FOV
+const CAMERA_ALTITUDE = 100;
+const MIN_VIEW_HEIGHT = 2; // World units visible top to bottom
+const MAX_VIEW_HEIGHT = 40;
+const LERP_FACTOR = 0.15;
+const PLAN_BACKGROUND = new THREE.Color(0x1a1a1a);
+
+const heightToViewHeight = (height) => 2 * height * Math.tan(REFERENCE_FOV / 2);
+const viewHeightToHeight = (viewHeight) =>
+  viewHeight / (2 * Math.tan(REFERENCE_FOV / 2));
+
+export function createFloorPlan({
+  scene,
+  labelContainer,
+  cutHeight,
+  onSelectLabel,
+}) {
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+  camera.rotation.order = 'YXZ';
+  camera.layers.enable(PLAN_LAYER);
+
+  let aspect = 1;
+  let yaw = 0;
+  const center = new THREE.Vector3();
+  const targetCenter = new THREE.Vector3();
+  let viewHeight = heightToViewHeight(11);
+  let targetViewHeight = viewHeight;
+
+  const right = new THREE.Vector3();
+  const up = new THREE.Vector3();
+  const projected = new THREE.Vector3();
+
+  // Screen right / screen up, in world space on the floor plane
+  function updateAxes() {
+    right.set(Math.cos(yaw), 0, -Math.sin(yaw));
+    up.set(-Math.sin(yaw), 0, -Math.cos(yaw));
+  }
+  updateAxes();
+
+  // --- "You Are Here" Marker ---
+  const marker = new THREE.Group();
+  const markerMaterial = (color, opacity) =>
+    new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      depthTest: false,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+  const viewCone = new THREE.Mesh(
+    // CircleGeometry starts at +X; after laying it flat, 90deg points along -Z
+    // (the camera's forward at yaw 0)
+    new THREE.CircleGeometry(
+      1.2,
+      24,
+      Math.PI / 2 - REFERENCE_FOV / 2,
+      REFERENCE_FOV,
+    ).rotateX(-Math.PI / 2),
+    markerMaterial(0x3b82f6, 0.35),
+  );
+  const dot = new THREE.Mesh(
+    new THREE.CircleGeometry(0.15, 24).rotateX(-Math.PI / 2),
+    markerMaterial(0x3b82f6, 1),
+  );
+  dot.position.y = 0.001;
+  marker.add(viewCone, dot);
+  marker.traverse((object) => object.layers.set(PLAN_LAYER));
+  marker.renderOrder = 2;
+  viewCone.renderOrder = 2;
+  dot.renderOrder = 3;
+  scene.add(marker);
+
+  // --- Room Labels ---
+  let labels = [];
+
+  function setLabels(viewpoints) {
+    labelContainer.replaceChildren();
+    labels = viewpoints
+      .filter((viewpoint) => viewpoint.mode === 'first-person')
+      .map((viewpoint) => {
+        const label = document.createElement('button');
+        label.className = 'plan-label';
+        label.textContent = viewpoint.name;
+        label.addEventListener('click', () => onSelectLabel(viewpoint));
+        labelContainer.appendChild(label);
+        return { viewpoint, label };
+      });
+  }
+
+  function updateLabels() {
+    const width = labelContainer.clientWidth;
+    const height = labelContainer.clientHeight;
+    labels.forEach(({ viewpoint, label }) => {
+      projected.copy(viewpoint.position).project(camera);
+      label.hidden = Math.abs(projected.x) > 1 || Math.abs(projected.y) > 1;
+      if (label.hidden) return;
+      const x = ((projected.x + 1) / 2) * width;
+      const y = ((1 - projected.y) / 2) * height;
+      label.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+    });
+  }
+
+  function updateProjection() {
+    const halfHeight = viewHeight / 2;
+    camera.top = halfHeight;
+    camera.bottom = -halfHeight;
+    camera.left = -halfHeight * aspect;
+    camera.right = halfHeight * aspect;
+    camera.updateProjectionMatrix();
+  }
+
+  function setAspect(value) {
+    aspect = value;
+    updateProjection();
+  }
+
+  // Frame a floor-plan location (see the format note at the top)
+  function enter(location, immediate = false) {
+    yaw = location.rotation.y;
+    updateAxes();
+    targetCenter.set(location.position.x, 0, location.position.z);
+    targetViewHeight = THREE.MathUtils.clamp(
+      heightToViewHeight(location.position.y),
+      MIN_VIEW_HEIGHT,
+      MAX_VIEW_HEIGHT,
+    );
+    if (immediate) {
+      center.copy(targetCenter);
+      viewHeight = targetViewHeight;
+    }
+  }
+
+  // The current plan view as a floor-plan location (for links)
+  function getLocation() {
+    return {
+      position: new THREE.Vector3(
+        targetCenter.x,
+        viewHeightToHeight(targetViewHeight),
+        targetCenter.z,
+      ),
+      rotation: { x: -Math.PI / 2, y: yaw },
+      mode: 'floor-plan',
+    };
+  }
+
+  function isSettled() {
+    return (
+      center.distanceTo(targetCenter) < 0.01 &&
+      Math.abs(viewHeight - targetViewHeight) < 0.01
+    );
+  }
+
+  // Drag by a number of screen pixels; the floor follows the pointer
+  function pan(deltaX, deltaY, viewportHeight) {
+    const worldPerPixel = targetViewHeight / viewportHeight;
+    targetCenter.addScaledVector(right, -deltaX * worldPerPixel);
+    targetCenter.addScaledVector(up, deltaY * worldPerPixel);
+  }
+
+  // Floor point under a screen position given in NDC
+  function screenToWorld(ndc, useTarget = false) {
+    const c = useTarget ? targetCenter : center;
+    const h = useTarget ? targetViewHeight : viewHeight;
+    return c
+      .clone()
+      .addScaledVector(right, (ndc.x * h * aspect) / 2)
+      .addScaledVector(up, (ndc.y * h) / 2);
+  }
+
+  // Zoom by factor (>1 zooms out) keeping the point under the cursor fixed
+  function zoomAt(ndc, factor) {
+    const anchor = screenToWorld(ndc, true);
+    targetViewHeight = THREE.MathUtils.clamp(
+      targetViewHeight * factor,
+      MIN_VIEW_HEIGHT,
+      MAX_VIEW_HEIGHT,
+    );
+    targetCenter
+      .copy(anchor)
+      .addScaledVector(right, (-ndc.x * targetViewHeight * aspect) / 2)
+      .addScaledVector(up, (-ndc.y * targetViewHeight) / 2);
+  }
+
+  // Show where the first-person camera is and where it looks
+  function setMarker(position, markerYaw, floorY) {
+    marker.position.set(position.x, floorY + 0.02, position.z);
+    marker.rotation.y = markerYaw;
+  }
+
+  function update() {
+    center.lerp(targetCenter, LERP_FACTOR);
+    viewHeight = THREE.MathUtils.lerp(
+      viewHeight,
+      targetViewHeight,
+      LERP_FACTOR,
+    );
+    camera.position.set(center.x, CAMERA_ALTITUDE, center.z);
+    camera.rotation.set(-Math.PI / 2, yaw, 0);
+    updateProjection();
+    camera.updateMatrixWorld();
+    updateLabels();
+  }
+
+  // The marker stays visible: it is on PLAN_LAYER, which only top-down
+  // cameras (this one and the minimap) render
+  function setActive(active) {
+    labelContainer.hidden = !active;
+  }
+
+  function render(renderer) {
+    const background = scene.background;
+    scene.background = PLAN_BACKGROUND;
+    renderer.render(scene, camera);
+    scene.background = background;
+  }
+
+  return {
+    camera,
+    cutHeight,
+    setLabels,
+    setAspect,
+    enter,
+    getLocation,
+    isSettled,
+    pan,
+    screenToWorld,
+    zoomAt,
+    setMarker,
+    update,
+    setActive,
+    render,
+  };
+}
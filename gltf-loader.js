@@ -0,0 +1,33 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+
+// --- Compressed glTF Loading ---
+// A GLTFLoader that also reads compressed assets:
+//   Draco  (KHR_draco_mesh_compression) geometry
+//   Meshopt (EXT_meshopt_compression) geometry
+//   KTX2 / Basis Universal (KHR_texture_basisu) textures
+// The Draco and Basis decoders are served by the viewer itself from
+// DECODER_PATH (scripts/copy-decoders.js copies them out of the three
+// package before `dev` and `build`), never from a CDN. The Meshopt decoder
+// is plain JS and is bundled.
+
+export const DECODER_PATH = './decoders/';
+
+export function createGLTFLoader(renderer) {
+  const dracoLoader = new DRACOLoader().setDecoderPath(`${DECODER_PATH}draco/`);
+  const ktx2Loader = new KTX2Loader()
+    .setTranscoderPath(`${DECODER_PATH}basis/`)
+    .detectSupport(renderer); // Picks a GPU format the device supports
+
+  return new GLTFLoader()
+    .setDRACOLoader(dracoLoader)
+    .setKTX2Loader(ktx2Loader)
+    .setMeshoptDecoder(MeshoptDecoder);
+}
@@ -0,0 +1,138 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Floor Plan Heatmaps ---
+// Visitor analytics (analytics.js) drawn over the floor plan: dwell time
+// (where visitors stood) or gaze (the surfaces they looked at, seen from
+// above). Samples are summed into a grid over the model's footprint,
+// smoothed, and shown as a texture on a plane that only the floor-plan
+// camera renders, so plan captures include it.
+
+export const HEATMAP_LAYER = 3; // Rendered by the floor-plan camera only
+export const HEATMAP_KINDS = ['dwell', 'gaze'];
+
+const CELL_SIZE = 0.25; // m
+const BLUR_PASSES = 3; // Box blurs of one cell, close to a Gaussian
+const RAMP = [
+  [0, new THREE.Color(0x1e3a8a)],
+  [0.35, new THREE.Color(0x06b6d4)],
+  [0.6, new THREE.Color(0x84cc16)],
+  [0.8, new THREE.Color(0xfacc15)],
+  [1, new THREE.Color(0xdc2626)],
+];
+
+function rampColor(t, target) {
+  const upper = RAMP.findIndex(([stop]) => stop >= t);
+  if (upper <= 0) return target.copy(RAMP[Math.max(upper, 0)][1]);
+  const [fromStop, from] = RAMP[upper - 1];
+  const [toStop, to] = RAMP[upper];
+  return target.lerpColors(from, to, (t - fromStop) / (toStop - fromStop));
+}
+
+// One pass of a 3x3 box blur, in place
+function blur(grid, columns, rows) {
+  const source = grid.slice();
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const y = row + dy;
+          const x = column + dx;
+          if (y >= 0 && y < rows && x >= 0 && x < columns) {
+            sum += source[y * columns + x];
+          }
+        }
+      }
+      grid[row * columns + column] = sum / 9;
+    }
+  }
+}
+
+export function createHeatmap({ scene }) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.generateMipmaps = false;
+  texture.minFilter = THREE.LinearFilter;
+
+  // Laid flat, the canvas's top row is at the footprint's smallest z
+  const plane = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+    new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+    }),
+  );
+  plane.layers.set(HEATMAP_LAYER);
+  plane.renderOrder = 1; // Under the position marker
+  plane.visible = false;
+  scene.add(plane);
+
+  const color = new THREE.Color();
+  const rgb = { r: 0, g: 0, b: 0 };
+
+  // The grid point a sample counts at, or null for samples without one
+  function pointOf(sample, kind) {
+    return kind === 'gaze' ? sample.gaze : sample.position;
+  }
+
+  // Draw samples (analytics sample events) over bounds (a Box3, usually the
+  // model's). Returns the seconds in the busiest cell and in total.
+  function draw(samples, kind, bounds) {
+    const size = bounds.getSize(new THREE.Vector3());
+    const columns = Math.max(1, Math.ceil(size.x / CELL_SIZE));
+    const rows = Math.max(1, Math.ceil(size.z / CELL_SIZE));
+    const grid = new Float32Array(columns * rows);
+    let total = 0;
+    samples.forEach((sample) => {
+      const point = pointOf(sample, kind);
+      if (!point) return;
+      const column = Math.floor((point[0] - bounds.min.x) / CELL_SIZE);
+      const row = Math.floor((point[2] - bounds.min.z) / CELL_SIZE);
+      if (column < 0 || column >= columns || row < 0 || row >= rows) return;
+      grid[row * columns + column] += sample.duration;
+      total += sample.duration;
+    });
+    const peak = grid.reduce((max, value) => Math.max(max, value), 0);
+    for (let pass = 0; pass < BLUR_PASSES; pass++) blur(grid, columns, rows);
+    const max = grid.reduce((max, value) => Math.max(max, value), 0);
+
+    canvas.width = columns;
+    canvas.height = rows;
+    const image = context.createImageData(columns, rows);
+    grid.forEach((value, index) => {
+      const t = max > 0 ? value / max : 0;
+      if (t < 0.02) return; // Leave the plan visible where nobody went
+      rampColor(t, color).getRGB(rgb, THREE.SRGBColorSpace);
+      image.data[index * 4] = rgb.r * 255;
+      image.data[index * 4 + 1] = rgb.g * 255;
+      image.data[index * 4 + 2] = rgb.b * 255;
+      image.data[index * 4 + 3] = (0.25 + 0.5 * Math.sqrt(t)) * 255;
+    });
+    context.putImageData(image, 0, 0);
+    texture.dispose(); // The canvas size may have changed
+    texture.needsUpdate = true;
+
+    plane.scale.set(columns * CELL_SIZE, 1, rows * CELL_SIZE);
+    plane.position.set(
+      bounds.min.x + (columns * CELL_SIZE) / 2,
+      bounds.min.y,
+      bounds.min.z + (rows * CELL_SIZE) / 2,
+    );
+    return { peak, total };
+  }
+
+  function setVisible(visible) {
+    plane.visible = visible;
+  }
+
+  return { draw, setVisible };
+}
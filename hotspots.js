@@ -0,0 +1,117 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Point-of-Interest Hotspots ---
+// DOM markers that follow 3D anchor points. Each frame the anchors are
+// projected to screen space; markers behind the camera or blocked by the
+// model are hidden.
+
+const OCCLUSION_INTERVAL = 100; // ms between occlusion re-checks
+const OCCLUSION_TOLERANCE = 0.05; // Hits this close to the anchor don't block it
+
+export function createHotspotLayer({ container, camera, raycaster, onSelect }) {
+  let entries = [];
+  let lastOcclusionCheck = 0;
+
+  const projected = new THREE.Vector3();
+  const cameraPosition = new THREE.Vector3();
+  const direction = new THREE.Vector3();
+
+  function setHotspots(hotspots) {
+    container.replaceChildren();
+    entries = hotspots.map((hotspot) => {
+      const marker = document.createElement('button');
+      marker.className = 'hotspot-marker';
+      marker.setAttribute('aria-label', hotspot.title);
+      marker.title = hotspot.title;
+      marker.hidden = true;
+      marker.addEventListener('click', () => onSelect(hotspot));
+      container.appendChild(marker);
+
+      return {
+        hotspot,
+        marker,
+        // Node anchors are resolved once the model has loaded
+        anchor: hotspot.position
+          ? hotspot.position.clone().add(hotspot.offset)
+          : null,
+        isOccluded: false,
+      };
+    });
+  }
+
+  // Resolve node-attached hotspots against the loaded model
+  function attachToModel(model) {
+    model.updateMatrixWorld(true);
+    entries.forEach((entry) => {
+      if (!entry.hotspot.node) return;
+      const node = model.getObjectByName(entry.hotspot.node);
+      if (!node) {
+        console.warn(
+          `Hotspot "${entry.hotspot.id}": node "${entry.hotspot.node}" not found in model`,
+        );
+        return;
+      }
+      entry.anchor = node
+        .getWorldPosition(new THREE.Vector3())
+        .add(entry.hotspot.offset);
+    });
+  }
+
+  function updateOcclusion(model) {
+    camera.getWorldPosition(cameraPosition);
+    const previousFar = raycaster.far;
+
+    entries.forEach((entry) => {
+      if (!entry.anchor) return;
+      direction.subVectors(entry.anchor, cameraPosition);
+      const distance = direction.length();
+      raycaster.set(cameraPosition, direction.normalize());
+      raycaster.far = distance;
+      const [hit] = raycaster.intersectObject(model, true);
+      entry.isOccluded = !!hit && hit.distance < distance - OCCLUSION_TOLERANCE;
+    });
+
+    raycaster.far = previousFar;
+  }
+
+  // Call once per frame after the camera has moved
+  function update(model) {
+    if (entries.length === 0) return;
+
+    const now = performance.now();
+    if (model && now - lastOcclusionCheck > OCCLUSION_INTERVAL) {
+      lastOcclusionCheck = now;
+      updateOcclusion(model);
+    }
+
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+
+    entries.forEach((entry) => {
+      if (!entry.anchor) {
+        entry.marker.hidden = true;
+        return;
+      }
+
+      projected.copy(entry.anchor).project(camera);
+      const isOnScreen =
+        projected.z < 1 &&
+        Math.abs(projected.x) <= 1 &&
+        Math.abs(projected.y) <= 1;
+
+      entry.marker.hidden = !isOnScreen || entry.isOccluded;
+      if (entry.marker.hidden) return;
+
+      const x = ((projected.x + 1) / 2) * width;
+      const y = ((1 - projected.y) / 2) * height;
+      entry.marker.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+    });
+  }
+
+  return { setHotspots, attachToModel, update };
+}
@@ -6,8 +6,64 @@
  */
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import {
+  loadManifest,
+  ManifestError,
+  validateManifest,
+  VIEW_MODES,
+} from './manifest.js';
+import { AssetLoadError, createAssetLoader, MAX_ATTEMPTS } from './loading.js';
+import { createGLTFLoader } from './gltf-loader.js';
+import {
+  appendVariants,
+  encodeNamedHash,
+  encodeViewHash,
+  parseVariants,
+  parseViewHash,
+} from './permalink.js';
+import { createTeleportController } from './teleport.js';
+import { ACTIONS, createInputBindings, isEditable } from './input.js';
+import { createEmbedBridge, EmbedError } from './embed.js';
+import { createViewpointEditor } from './authoring.js';
+import { createSession, DEFAULT_RELAY_PORT } from './session.js';
+import { createAvatars } from './avatars.js';
+import {
+  AnalyticsError,
+  createAnalytics,
+  parseAnalyticsLog,
+} from './analytics.js';
+import { createHeatmap, HEATMAP_LAYER } from './heatmap.js';
+import { createWalker } from './walker.js';
+import { createHotspotLayer } from './hotspots.js';
+import { createRenderModes, createUnlitMaterial } from './rendering.js';
+import { compassPoint, createDaylight, formatMinutes } from './daylight.js';
+import { createFloorPlan, PLAN_LAYER } from './floor-plan.js';
+import { createMinimap } from './minimap.js';
+import { createMeasureTool } from './measure.js';
+import { createTour } from './tour.js';
+import { createQualityGovernor } from './quality.js';
+import { createVariantSwitcher } from './variants.js';
+import { createInteractives } from './interactives.js';
+import { createSectionTool, HANDLE_LAYER } from './section.js';
+import {
+  CaptureSizeError,
+  createCapture,
+  PANORAMA_WIDTHS,
+  STILL_SIZES,
+  VIDEO_SIZE,
+  VideoUnsupportedError,
+} from './capture.js';
+import {
+  CameraPathError,
+  createPathFromSamples,
+  parseCameraPath,
+} from './camera-path.js';
+import {
+  createObjectHighlight,
+  describeObject,
+  formatProperty,
+} from './inspector.js';
 
 // --- Scene Setup ---
 const scene = new THREE.Scene();
@@ -27,119 +83,267 @@ const camera = new THREE.PerspectiveCamera(
   1000,
 );
 cameraGroup.add(camera);
+camera.layers.enable(HANDLE_LAYER); // Section tool handles
 
 // Renderer
+// The quality governor picks antialiasing and adapts the pixel ratio
+const quality = createQualityGovernor();
 const renderer = new THREE.WebGLRenderer({
-  antialias: true,
+  antialias: quality.antialias,
+  stencil: true, // Caps for the section tool's cuts
 });
-renderer.shadowMap.enabled = false; // Shadows are disabled as there are no lights
+// Shadows are only enabled by the "daylight" render mode, for the sun
+renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-// Tone mapping removed as there is no HDR lighting
+quality.attach(renderer);
+// Tone mapping is only enabled by the lit render modes (rendering.js)
 document.body.appendChild(renderer.domElement);
+
+// Unlit vs. realistic (PBR + HDRI or daylight) materials and tone mapping
+const renderModes = createRenderModes({ renderer, scene });
 renderer.domElement.classList.add('blurred'); // Add blur initially
 
 // --- Debug Info Elements ---
 const debugPositionEl = document.getElementById('debug-position');
 const debugRotationEl = document.getElementById('debug-rotation');
+const debugModeEl = document.getElementById('debug-mode');
+const debugQualityEl = document.getElementById('debug-quality');
 
 // --- Environment and Background ---
-// Load the HDRI as a background, but not as an environment map for lighting.
-new RGBELoader().load(
-  'Yard.hdr',
-  (texture) => {
-    texture.mapping = THREE.EquirectangularReflectionMapping;
-    scene.background = texture; // Set as background only
-    // scene.environment is NOT set, so it won't light the scene.
-  },
-  undefined,
-  (error) => {
-    console.error('An error happened while loading the HDRI:', error);
-  },
-);
+// The HDRI is the background, except under the "daylight" mode's sky. It
+// only lights the scene (as a PMREM-filtered scene.environment) in the
+// "realistic" render mode.
+// Without it the viewer still works, on the manifest's plain color.
+function loadEnvironment(url) {
+  assetLoader
+    .load(new RGBELoader(), url, { label: 'environment' })
+    .then((texture) => {
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      renderModes.setBackground(texture);
+      renderModes.setEnvironment(texture);
+      quality.invalidate();
+    })
+    .catch((error) => {
+      console.error('An error happened while loading the HDRI:', error);
+      renderModes.setBackground(new THREE.Color(project.backgroundColor));
+      quality.invalidate();
+    });
+}
 
 // --- Load Model ---
-const loader = new GLTFLoader();
-loader.load(
-  './INTERIOR.glb',
-  (gltf) => {
-    model = gltf.scene; // Assign to the model variable for collision detection
-
-    // --- Modify Original Model Materials ---
-    // Traverse the ORIGINAL model and replace PBR materials with MeshBasicMaterial
-    // to make the scene visible without any lighting.
-    model.traverse((child) => {
+const loader = createGLTFLoader(renderer); // Reads Draco, Meshopt and KTX2 assets
+
+// Load a glTF and prepare it for both render modes
+function loadModel(url, options) {
+  return assetLoader.load(loader, url, options).then((gltf) => {
+    // --- Build Unlit Materials ---
+    // Traverse the model and create a MeshBasicMaterial copy of each PBR
+    // material so the scene is visible without any lighting. The PBR
+    // originals are kept for the "realistic" render mode.
+    gltf.scene.traverse((child) => {
       if (child instanceof THREE.Mesh) {
-        const applyBasicMaterial = (material) => {
-          const newMaterial = new THREE.MeshBasicMaterial();
-          // Copy essential properties from the old material
-          if (material.color) newMaterial.color.copy(material.color);
-          if (material.map) newMaterial.map = material.map;
-          if (material.transparent)
-            newMaterial.transparent = material.transparent;
-          if (material.opacity) newMaterial.opacity = material.opacity;
-
-          // Dispose of the old material to free up GPU memory
-          material.dispose();
-          return newMaterial;
-        };
-
         if (Array.isArray(child.material)) {
-          child.material = child.material.map(applyBasicMaterial);
+          renderModes.registerMesh(
+            child,
+            child.material.map(createUnlitMaterial),
+          );
         } else if (child.material) {
-          child.material = applyBasicMaterial(child.material);
+          renderModes.registerMesh(child, createUnlitMaterial(child.material));
         }
+        // For the daylight sun; glass lets it through
+        child.castShadow = ![child.material].flat().some((m) => m?.transparent);
+        child.receiveShadow = true;
       }
     });
+    return gltf;
+  });
+}
+
+// Free the GPU resources of a model that has been replaced
+function disposeModel(root) {
+  root.traverse((child) => {
+    if (!(child instanceof THREE.Mesh)) return;
+    child.geometry.dispose();
+    const { unlit, realistic } = renderModes.unregisterMesh(child);
+    [unlit, realistic].flat().forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value?.isTexture) value.dispose();
+      });
+      material.dispose();
+    });
+  });
+}
 
-    scene.add(model);
-  },
-  undefined,
-  (error) => {
+// Everything that depends on the model's geometry
+function onModelChanged() {
+  // Build the collision BVH once; the walker tests against it every frame
+  walker?.setCollider(model);
+  const bounds = new THREE.Box3().setFromObject(model);
+  minimap?.fitTo(bounds);
+  daylight?.fitTo(bounds);
+  hotspotLayer.attachToModel(model);
+  sectionTool.setModel(model);
+  updateSectionPanel();
+  quality.invalidate();
+}
+
+// Show a loaded glTF as the model used for rendering, collisions and picking
+function setModel(gltf) {
+  if (model) {
+    selectObject(null);
+    objectHighlight.setHover(null);
+    scene.remove(model);
+    variants.removeModel(model);
+    interactives.removeModel(model);
+    disposeModel(model);
+  }
+  model = gltf.scene; // Assign to the model variable for collision detection
+  scene.add(model);
+  variants.addModel(gltf).then(onVariantsChanged);
+  interactives.addModel(gltf);
+  onModelChanged();
+}
+
+// --- Progressive Loading ---
+// With a proxy in the manifest, the low-detail proxy is what unlocks Start;
+// the full model replaces it once it arrives (if that fails, the proxy
+// stays). Then the high-detail rooms stream in one at a time, each in
+// place of the model's low-detail nodes of the same names.
+async function loadProjectModels() {
+  const { proxy, rooms } = project;
+  let gltf;
+  try {
+    gltf = await loadModel(proxy ?? project.model, {
+      label: proxy ? 'preview' : '3D model',
+      critical: true,
+    });
+  } catch (error) {
     console.error('An error happened while loading the model:', error);
-  },
-);
+    showLoadingError(error);
+    return;
+  }
+  try {
+    setModel(gltf);
+  } catch (error) {
+    console.error('An error happened while setting up the model:', error);
+    showLoadingError(error);
+    return;
+  }
+  embed.emit('ready');
+
+  if (proxy) {
+    let fullModel = null;
+    try {
+      fullModel = await loadModel(project.model, { label: '3D model' });
+    } catch (error) {
+      console.error('An error happened while loading the full model:', error);
+    }
+    if (fullModel) setModel(fullModel);
+  }
+  let hasRooms = false;
+  for (const url of rooms) {
+    let room;
+    try {
+      room = await loadModel(url, { label: 'room detail' });
+    } catch (error) {
+      console.error(`An error happened while loading room "${url}":`, error);
+      continue;
+    }
+    hideLowDetail(room.scene);
+    model.add(room.scene);
+    variants.addModel(room).then(onVariantsChanged);
+    interactives.addModel(room);
+    hasRooms = true;
+    quality.invalidate();
+  }
+  // The collider and everything fitted to the model, once for all rooms
+  if (hasRooms) onModelChanged();
+}
+
+// A room replaces the model's nodes named like the room's top-level nodes:
+// they are hidden from view, picking (no layers) and collisions (the
+// collider only takes visible meshes)
+function hideLowDetail(roomRoot) {
+  roomRoot.children.forEach(({ name }) => {
+    const counterpart = name && model.getObjectByName(name);
+    if (!counterpart) return;
+    counterpart.visible = false;
+    counterpart.traverse((child) => child.layers.disableAll());
+  });
+}
+
+// --- Material Variants ---
+// Configurator panel: one dropdown per variant set, "Original" first
+const variants = createVariantSwitcher({ renderModes });
+const variantsBtn = document.getElementById('variants-btn');
+const variantsPanel = document.getElementById('variants-panel');
+const variantsList = document.getElementById('variants-list');
+
+function buildVariantsPanel() {
+  if (!variantsList) return;
+  variantsList.replaceChildren();
+  variants.sets.forEach((set) => {
+    const label = document.createElement('label');
+    label.textContent = set.name;
+    const select = document.createElement('select');
+    select.dataset.variantSet = set.id;
+    [{ id: '', name: 'Original' }, ...set.options].forEach((option) => {
+      select.add(new Option(option.name, option.id));
+    });
+    select.addEventListener('change', () => {
+      variants.select(set.id, select.value || null).then(onVariantsChanged);
+    });
+    label.appendChild(select);
+    variantsList.appendChild(label);
+  });
+  if (variantsBtn) variantsBtn.hidden = variants.sets.length === 0;
+}
+
+// Sync the panel with the selection (and with sets found in the model)
+function onVariantsChanged() {
+  const selects = variantsList?.querySelectorAll('select') ?? [];
+  if (selects.length !== variants.sets.length) buildVariantsPanel();
+  variantsList?.querySelectorAll('select').forEach((select) => {
+    select.value = variants.selection[select.dataset.variantSet] ?? '';
+  });
+  sectionTool.refresh(); // Swapped-in materials need the cut too
+  interactives.applyLights(); // And switched-off lights stay off
+  quality.invalidate();
+}
+
+variantsBtn?.addEventListener('click', () => {
+  if (!variantsPanel) return;
+  variantsPanel.hidden = !variantsPanel.hidden;
+  variantsBtn.classList.toggle('is-active', !variantsPanel.hidden);
+});
+document.getElementById('variants-reset-btn')?.addEventListener('click', () => {
+  variants.reset().then(onVariantsChanged);
+});
+
+// --- Interactive Elements ---
+// Doors, drawers and light switches in the model (interactives.js). In the
+// first-person view a click on one toggles it instead of teleporting.
+const interactives = createInteractives({
+  renderModes,
+  // The walker's BVH is static: rebuild it so open doorways become
+  // passable (and closed ones block again)
+  onSettled: () => walker?.setCollider(model),
+});
+
+// The element under the pointer, if any
+function pickInteractive() {
+  if (isInFloorPlanView) return null;
+  return interactives.find(pickSurface()?.object);
+}
 
 // --- Location Presets ---
-const locations = {
-  foyer: {
-    position: new THREE.Vector3(0.59, 1, 4.41),
-    rotation: { x: -0.11, y: -0.07 },
-  },
-  livingRoom: {
-    position: new THREE.Vector3(-2.03, 1, 1.32),
-    rotation: { x: -0.03, y: -0.03 },
-  },
-  kitchen: {
-    position: new THREE.Vector3(-2.81, 1, 1.51),
-    rotation: { x: -0.06, y: -2.89 },
-  },
-  bedroom: {
-    position: new THREE.Vector3(0.18, 1, -0.54),
-    rotation: { x: -0.13, y: -0.72 },
-  },
-  floorPlan: {
-    position: new THREE.Vector3(0, 11, 0),
-    rotation: { x: -1.57, y: -1.57 },
-  },
-};
-
-const tourLocations = [
-  locations.foyer,
-  locations.livingRoom,
-  locations.kitchen,
-  locations.bedroom,
-  locations.floorPlan,
-];
-
-// Map location objects to their button IDs for easy lookup
-const locationButtonMap = new Map([
-  [locations.foyer, 'foyer-btn'],
-  [locations.livingRoom, 'living-room-btn'],
-  [locations.kitchen, 'kitchen-btn'],
-  [locations.bedroom, 'bedroom-btn'],
-  [locations.floorPlan, 'floor-plan-btn'],
-]);
+// Viewpoints, the tour sequence and hotkeys come from the project manifest
+// (see manifest.js). They are filled in once the manifest has loaded.
+let project = null;
+let tourLocations = [];
+
+// Map viewpoint objects to their location buttons for easy lookup
+const locationButtonMap = new Map();
 
 // --- Interaction State ---
 let isDragging = false;
@@ -147,50 +351,84 @@ let isTransitioning = false; // Flag for location-based transitions
 let isInFloorPlanView = false; // Flag for floor plan control scheme
 let previousMousePosition = { x: 0, y: 0 };
 let isTourActive = false;
-let currentTourIndex = 0;
-// FIX: Changed type from `number` to `ReturnType<typeof setTimeout>` to support both browser (number) and Node.js (Timeout object) timer types.
-let tourTimeoutId = null;
+let tour = null; // Tour player, created once the manifest has loaded
 let previousPinchDistance = 0; // For touch controls
-const keysPressed = new Set(); // For keyboard movement
+
+// Click/tap-to-teleport state
+let teleport = null; // Created once the manifest has loaded
+const pointer = new THREE.Vector2(); // Last pointer position in NDC
+let isPointerOverCanvas = false;
+let pointerMoved = false; // Re-pick the hover target on the next frame
+let hoverTarget = null;
+let pointerDownPosition = { x: 0, y: 0 };
+let tapStartTime = 0;
+const clickMoveTolerance = 5; // Pixels a click may move and still count as a click
 
 // Separate smoothing factors for different interactions
 const locationLerpFactor = 0.03; // Slower, for smooth transitions between locations
 const movementLerpFactor = 0.1; // Faster, for responsive direct control
-const collisionOffset = 0.4; // Minimum distance to keep from walls
+const collisionOffset = 0.4; // Minimum distance to keep from walls (fly mode)
+
+// Walking uses the capsule walker; fly mode keeps the free single-ray
+// movement (with Q/E for height) for authoring viewpoints.
+let walker = null; // Created once the manifest has loaded
+let isFlyMode = false;
+const clock = new THREE.Clock();
 
 const targetPosition = new THREE.Vector3();
 const targetRotation = { x: 0, y: 0 };
 
-// Start the camera group at the foyer position and rotation
-cameraGroup.position.copy(locations.foyer.position);
-camera.rotation.x = locations.foyer.rotation.x;
-cameraGroup.rotation.y = locations.foyer.rotation.y;
+// Orthographic plan camera. The first-person camera stays where it was
+// while the plan is shown, and is marked on the plan.
+let floorPlan = null; // Created once the manifest has loaded
+let minimap = null; // Corner overview, shares the plan's position marker
+
+// Place the camera at a viewpoint immediately, without a transition
+function jumpToView(location) {
+  isInFloorPlanView = location.mode === 'floor-plan';
+  if (isInFloorPlanView) {
+    floorPlan.enter(location, true);
+    return;
+  }
+  cameraGroup.position.copy(location.position);
+  camera.rotation.x = location.rotation.x;
+  cameraGroup.rotation.y = location.rotation.y;
 
-// Initialize targets to the starting location
-targetPosition.copy(locations.foyer.position);
-targetRotation.x = locations.foyer.rotation.x;
-targetRotation.y = locations.foyer.rotation.y;
+  targetPosition.copy(location.position);
+  targetRotation.x = location.rotation.x;
+  targetRotation.y = location.rotation.y;
+}
 
 // --- Event Listeners ---
 
 // Helper to set target for smooth transitions and set the transition flag
-function setViewTarget(location, isFloorPlan = false) {
+function setViewTarget(location) {
   isTransitioning = true;
-  isInFloorPlanView = isFloorPlan; // Set the current view mode
+  isInFloorPlanView = location.mode === 'floor-plan'; // Set the current view mode
+  if (isInFloorPlanView) {
+    floorPlan.enter(location);
+    return;
+  }
   targetPosition.copy(location.position);
   targetRotation.x = location.rotation.x;
   targetRotation.y = location.rotation.y;
 }
 
 // New wrapper to also stop tour
-function selectView(location, isFloorPlan = false) {
+function selectView(location) {
+  viewpointIndex = project.viewpoints.indexOf(location);
   stopGuidedTour();
-  setViewTarget(location, isFloorPlan);
+  stopPathPlayback();
+  breakAway();
+  if (location.id) analytics?.log('view', { viewId: location.id });
+  setViewTarget(location);
 }
 
 // --- Start Button Logic ---
 const startOverlay = document.getElementById('start-overlay');
 const startBtn = document.getElementById('start-btn');
+const startErrorEl = document.getElementById('start-error');
+const locationButtons = document.getElementById('location-buttons');
 
 startBtn?.addEventListener(
   'click',
@@ -200,44 +438,214 @@ startBtn?.addEventListener(
 
     // Un-blur the canvas
     renderer.domElement.classList.remove('blurred');
+
+    // Start a guided tour requested by the link
+    if (pendingTourLink !== null) {
+      startGuidedTour(pendingTourLink);
+      pendingTourLink = null;
+    }
   },
   { once: true },
 );
 
+// --- Loading Screen ---
+// Combined progress of the model and HDRI on the start overlay. Start stays
+// disabled until the model (the only critical asset) is ready.
+const loadingStatusEl = document.getElementById('loading-status');
+const loadingBarEl = document.getElementById('loading-bar');
+const loadingFillEl = document.getElementById('loading-bar-fill');
+const loadingTextEl = document.getElementById('loading-text');
+const retryBtn = document.getElementById('retry-btn');
+
+function describeLoading({ progress, isCriticalReady, assets }) {
+  const failed = assets.find((asset) => asset.status === 'failed');
+  if (failed?.critical) return failed.error.message;
+  const retrying = assets.find((asset) => asset.status === 'retrying');
+  if (retrying) {
+    return `Retrying the ${retrying.label} (attempt ${retrying.attempt + 1} of ${MAX_ATTEMPTS})…`;
+  }
+  const percent = Math.round(progress * 100);
+  if (!isCriticalReady) return `Loading… ${percent}%`;
+  if (failed) return `${failed.error.message} Continuing without it.`;
+  if (assets.some((asset) => asset.status !== 'done')) {
+    return `Ready · still loading ${percent}%`;
+  }
+  return 'Ready';
+}
+
+function updateLoadingStatus(state) {
+  const percent = Math.round(state.progress * 100);
+  if (loadingFillEl) loadingFillEl.style.width = `${percent}%`;
+  loadingBarEl?.setAttribute('aria-valuenow', String(percent));
+  if (loadingTextEl) loadingTextEl.textContent = describeLoading(state);
+  if (startBtn) startBtn.disabled = !state.isCriticalReady;
+  embed.emit('loadprogress', {
+    progress: state.progress,
+    isCriticalReady: state.isCriticalReady,
+  });
+}
+
+// Only a failed download is worth trying again
+function showLoadingError(error) {
+  const isNetworkError =
+    error instanceof AssetLoadError && error.isNetworkError;
+  loadingStatusEl?.classList.add('failed');
+  if (startErrorEl) {
+    startErrorEl.textContent = isNetworkError
+      ? `${error.message}\nCheck your connection and try again.`
+      : error.message;
+    startErrorEl.hidden = false;
+  }
+  if (retryBtn) retryBtn.hidden = !isNetworkError;
+  embed.emit('error', { message: error.message });
+}
+
+retryBtn?.addEventListener('click', () => {
+  retryBtn.hidden = true;
+  loadingStatusEl?.classList.remove('failed');
+  if (startErrorEl) startErrorEl.hidden = true;
+  loadProjectModels();
+});
+
+const assetLoader = createAssetLoader({ onChange: updateLoadingStatus });
+
 // Button Listeners
-document
-  .getElementById('foyer-btn')
-  ?.addEventListener('click', () => selectView(locations.foyer, false));
-document
-  .getElementById('living-room-btn')
-  ?.addEventListener('click', () => selectView(locations.livingRoom, false));
-document
-  .getElementById('kitchen-btn')
-  ?.addEventListener('click', () => selectView(locations.kitchen, false));
-document
-  .getElementById('bedroom-btn')
-  ?.addEventListener('click', () => selectView(locations.bedroom, false));
-document
-  .getElementById('floor-plan-btn')
-  ?.addEventListener('click', () => selectView(locations.floorPlan, true));
+// One button per manifest viewpoint, in manifest order.
+function buildLocationButtons(viewpoints) {
+  if (!locationButtons) return;
+  locationButtons.replaceChildren();
+  locationButtonMap.clear();
+
+  viewpoints.forEach((viewpoint) => {
+    const btn = document.createElement('button');
+    btn.textContent = viewpoint.name;
+    btn.dataset.viewpoint = viewpoint.id;
+    if (viewpoint.hotkey) btn.title = `${viewpoint.name} (${viewpoint.hotkey})`;
+    btn.addEventListener('click', () => selectView(viewpoint));
+    locationButtons.appendChild(btn);
+    locationButtonMap.set(viewpoint, btn);
+  });
+}
 
 // --- UI Toggle ---
 const toggleUiBtn = document.getElementById('toggle-ui-btn');
-const locationButtons = document.getElementById('location-buttons');
+const minimapEl = document.getElementById('minimap');
 
 // The top-right button now acts as a simple toggle.
 toggleUiBtn?.addEventListener('click', () => {
   if (locationButtons && toggleUiBtn) {
     locationButtons.classList.toggle('collapsed');
     toggleUiBtn.classList.toggle('is-collapsed');
+    minimapEl?.classList.toggle(
+      'collapsed',
+      locationButtons.classList.contains('collapsed'),
+    );
   }
 });
 
+// --- Click-to-Teleport ---
+function setPointerFromEvent(e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+}
+
+function isClick(e) {
+  const dx = e.clientX - pointerDownPosition.x;
+  const dy = e.clientY - pointerDownPosition.y;
+  return Math.sqrt(dx * dx + dy * dy) <= clickMoveTolerance;
+}
+
+// Glide to a picked floor point at eye height, keeping the current heading
+function teleportTo(target) {
+  if (!target) return;
+  const position = target.point.clone();
+  position.y += project.eyeHeight;
+  const location = {
+    position,
+    rotation: { x: targetRotation.x, y: targetRotation.y },
+    mode: 'first-person',
+  };
+
+  if (isInFloorPlanView) {
+    // From the plan, drop straight into first-person at the clicked spot
+    stopGuidedTour();
+    stopPathPlayback();
+    jumpToView(location);
+    walker?.reset();
+  } else {
+    selectView(location);
+  }
+}
+
+// A click places a measurement point while measuring, selects an object
+// while inspecting, otherwise teleports
+function handleCanvasClick(e) {
+  setPointerFromEvent(e);
+  if (measureTool.mode) {
+    measureTool.addPoint(pickSurface());
+  } else if (isInspecting) {
+    selectObject(pickSurface()?.object ?? null);
+  } else {
+    const element = pickInteractive();
+    if (element) {
+      interactives.toggle(element);
+      quality.invalidate(); // Lights switch without animating
+    } else {
+      teleportTo(pickAtPointer());
+    }
+  }
+}
+
+function getActiveCamera() {
+  return isInFloorPlanView ? floorPlan.camera : camera;
+}
+
+// Any model surface under the pointer (measurements aren't limited to
+// floors). Surfaces cut away by the section tool are skipped.
+function pickSurface() {
+  if (!model) return null;
+  if (isInFloorPlanView) {
+    const point = floorPlan.screenToWorld(pointer);
+    raycaster.set(
+      new THREE.Vector3(point.x, sectionTool.height, point.z),
+      new THREE.Vector3(0, -1, 0),
+    );
+  } else {
+    raycaster.setFromCamera(pointer, camera);
+  }
+  return (
+    raycaster
+      .intersectObject(model, true)
+      .find((hit) => !sectionTool.isClipped(hit.point)) ?? null
+  );
+}
+
+// In the floor plan, the floor is found straight below the cursor,
+// starting under the ceiling cut
+function pickAtPointer() {
+  if (!teleport) return null;
+  if (isInFloorPlanView) {
+    const point = floorPlan.screenToWorld(pointer);
+    return teleport.pickBelow(model, point.x, point.z, sectionTool.height);
+  }
+  return teleport.pick(model, pointer);
+}
+
 // Mouse event listeners for rotation
 renderer.domElement.addEventListener('mousedown', (e) => {
+  // Section handles take the drag before the camera does
+  setPointerFromEvent(e);
+  if (e.button === 0 && sectionTool.startDrag(pointer, getActiveCamera())) {
+    return;
+  }
+
   stopGuidedTour();
+  stopPathPlayback();
+  breakAway();
   isTransitioning = false; // User interaction overrides location transition
   previousMousePosition = { x: e.clientX, y: e.clientY };
+  pointerDownPosition = { x: e.clientX, y: e.clientY };
   if (e.button === 0) {
     // Left mouse button for rotation
     isDragging = true;
@@ -248,47 +656,62 @@ renderer.domElement.addEventListener('mousedown', (e) => {
 });
 
 renderer.domElement.addEventListener('mousemove', (e) => {
+  setPointerFromEvent(e);
+  isPointerOverCanvas = true;
+  pointerMoved = true;
+
+  if (sectionTool.isDragging) {
+    sectionTool.drag(pointer, getActiveCamera());
+    return;
+  }
+
   if (isDragging) {
     const deltaX = e.clientX - previousMousePosition.x;
     const deltaY = e.clientY - previousMousePosition.y;
 
-    if (isInFloorPlanView) {
-      // PANNING LOGIC for Floor Plan View
-      // Adjust pan speed based on how zoomed in we are
-      const panSpeed = 0.01 * (cameraGroup.position.y / 11);
-      // Floor plan is rotated -90deg on Y, so X/Z axes are swapped/inverted
-      targetPosition.z -= deltaX * panSpeed;
-      targetPosition.x += deltaY * panSpeed;
-    } else {
-      // ROTATION LOGIC for First-Person View
-      targetRotation.y -= deltaX * 0.005; // Update target for yaw
-      targetRotation.x -= deltaY * 0.005; // Update target for pitch
-
-      // Clamp vertical rotation target to prevent flipping
-      targetRotation.x = Math.max(
-        -Math.PI / 2,
-        Math.min(Math.PI / 2, targetRotation.x),
-      );
-    }
+    // Pans the floor plan, looks around in first-person view
+    input.addDrag(isInFloorPlanView ? 'move' : 'look', deltaX, deltaY);
 
     previousMousePosition = { x: e.clientX, y: e.clientY };
   }
 });
 
-renderer.domElement.addEventListener('mouseup', () => {
+renderer.domElement.addEventListener('mouseup', (e) => {
+  sectionTool.endDrag();
+  // A left click without dragging teleports (or measures) at the cursor
+  if (isDragging && e.button === 0 && isClick(e)) {
+    handleCanvasClick(e);
+  }
   isDragging = false;
 });
 
 renderer.domElement.addEventListener('mouseleave', () => {
+  sectionTool.endDrag();
   isDragging = false;
+  isPointerOverCanvas = false;
+  pointerMoved = true;
 });
 
 // Prevent context menu on right click
 renderer.domElement.addEventListener('contextmenu', (e) => e.preventDefault());
 
 const fixedDollySpeed = 0.5;
+const zoomStepDistance = 0.3 * fixedDollySpeed; // Moved per wheel notch
+const zoomStepFactor = 1.1; // Floor plan scale per wheel notch
+const dragLookSpeed = 0.005; // Radians per pixel dragged
+const stickLookSpeed = 2; // Radians per second at full stick (or arrow key)
+
+// Turn the view target, keeping the pitch short of straight up or down
+function turnView(deltaYaw, deltaPitch) {
+  targetRotation.y += deltaYaw;
+  targetRotation.x = THREE.MathUtils.clamp(
+    targetRotation.x + (input.invertY ? -deltaPitch : deltaPitch),
+    -Math.PI / 2,
+    Math.PI / 2,
+  );
+}
 
-// Handle mouse wheel for dolly (Collision logic is now in animate loop)
+// Mouse wheel to dolly or zoom (applied in the animate loop)
 renderer.domElement.addEventListener(
   'wheel',
   (e) => {
@@ -296,30 +719,13 @@ renderer.domElement.addEventListener(
     if (!model) return; // Don't move if model isn't loaded
 
     stopGuidedTour();
+    stopPathPlayback();
+    breakAway();
     isTransitioning = false; // User interaction overrides location transition
 
-    if (isInFloorPlanView) {
-      // ZOOM LOGIC (Y-axis movement) for Floor Plan View
-      const zoomSpeed = 0.5;
-      const moveSign = e.deltaY > 0 ? 1 : -1;
-      targetPosition.y += moveSign * zoomSpeed;
-      // Clamp the zoom distance
-      targetPosition.y = Math.max(2, Math.min(20, targetPosition.y));
-    } else {
-      // DOLLY LOGIC (XZ-plane movement) for First-Person View
-      // Get the direction the camera is looking, projected onto the XZ plane
-      const forward = new THREE.Vector3();
-      camera.getWorldDirection(forward);
-      forward.y = 0;
-      forward.normalize();
-
-      // Determine move direction and amount from scroll
-      const moveSign = e.deltaY > 0 ? -1 : 1; // -1 for backward, 1 for forward
-      const moveAmount = 0.3 * fixedDollySpeed;
-
-      // Just update the target position; collision is handled in the animate loop
-      targetPosition.addScaledVector(forward, moveSign * moveAmount);
-    }
+    // The floor plan zooms towards the point under the cursor
+    setPointerFromEvent(e);
+    input.addZoom(e.deltaY > 0 ? -1 : 1, pointer.clone());
   },
   { passive: false },
 );
@@ -331,7 +737,14 @@ renderer.domElement.addEventListener(
     // Prevent default touch behavior (like scrolling or refresh)
     e.preventDefault();
 
+    if (e.touches.length === 1) {
+      setPointerFromEvent(e.touches[0]);
+      if (sectionTool.startDrag(pointer, getActiveCamera())) return;
+    }
+
     stopGuidedTour();
+    stopPathPlayback();
+    breakAway();
     isTransitioning = false; // User interaction overrides transitions
 
     const touches = e.touches;
@@ -343,6 +756,8 @@ renderer.domElement.addEventListener(
         x: touches[0].clientX,
         y: touches[0].clientY,
       };
+      pointerDownPosition = { ...previousMousePosition };
+      tapStartTime = performance.now();
       // Sync target to current rotation to prevent jump
       targetRotation.y = cameraGroup.rotation.y;
       targetRotation.x = camera.rotation.x;
@@ -364,24 +779,16 @@ renderer.domElement.addEventListener(
 
     const touches = e.touches;
 
-    if (touches.length === 1 && isDragging) {
+    if (touches.length === 1 && sectionTool.isDragging) {
+      setPointerFromEvent(touches[0]);
+      sectionTool.drag(pointer, getActiveCamera());
+    } else if (touches.length === 1 && isDragging) {
       // Single finger move: rotation/pan
       const deltaX = touches[0].clientX - previousMousePosition.x;
       const deltaY = touches[0].clientY - previousMousePosition.y;
 
-      // Re-use the exact same logic as the mousemove handler
-      if (isInFloorPlanView) {
-        const panSpeed = 0.01 * (cameraGroup.position.y / 11);
-        targetPosition.z -= deltaX * panSpeed;
-        targetPosition.x += deltaY * panSpeed;
-      } else {
-        targetRotation.y -= deltaX * 0.005;
-        targetRotation.x -= deltaY * 0.005;
-        targetRotation.x = Math.max(
-          -Math.PI / 2,
-          Math.min(Math.PI / 2, targetRotation.x),
-        );
-      }
+      // The same gesture as a mouse drag
+      input.addDrag(isInFloorPlanView ? 'move' : 'look', deltaX, deltaY);
 
       previousMousePosition = {
         x: touches[0].clientX,
@@ -392,22 +799,19 @@ renderer.domElement.addEventListener(
       const dx = touches[0].clientX - touches[1].clientX;
       const dy = touches[0].clientY - touches[1].clientY;
       const currentPinchDistance = Math.sqrt(dx * dx + dy * dy);
-      const deltaDistance = currentPinchDistance - previousPinchDistance;
 
-      if (isInFloorPlanView) {
-        // ZOOM LOGIC (Y-axis movement)
-        const zoomSpeed = 0.05;
-        targetPosition.y -= deltaDistance * zoomSpeed;
-        targetPosition.y = Math.max(2, Math.min(20, targetPosition.y));
-      } else {
-        // DOLLY LOGIC (XZ-plane movement)
-        const forward = new THREE.Vector3();
-        camera.getWorldDirection(forward);
-        forward.y = 0;
-        forward.normalize();
-
-        const dollySpeed = 0.02; // A different speed factor for touch
-        targetPosition.addScaledVector(forward, deltaDistance * dollySpeed);
+      if (previousPinchDistance > 0 && currentPinchDistance > 0) {
+        // Spreading the fingers by a wheel notch's scale zooms in a notch,
+        // towards the midpoint between them
+        setPointerFromEvent({
+          clientX: (touches[0].clientX + touches[1].clientX) / 2,
+          clientY: (touches[0].clientY + touches[1].clientY) / 2,
+        });
+        input.addZoom(
+          Math.log(currentPinchDistance / previousPinchDistance) /
+            Math.log(zoomStepFactor),
+          pointer.clone(),
+        );
       }
 
       // Update for the next move event
@@ -417,8 +821,21 @@ renderer.domElement.addEventListener(
   { passive: false },
 );
 
-renderer.domElement.addEventListener('touchend', () => {
+renderer.domElement.addEventListener('touchend', (e) => {
+  // A short single-finger tap teleports (or measures) under the finger
+  const touch = e.changedTouches[0];
+  if (
+    isDragging &&
+    e.touches.length === 0 &&
+    touch &&
+    isClick(touch) &&
+    performance.now() - tapStartTime < 300
+  ) {
+    handleCanvasClick(touch);
+  }
+
   // Reset states when fingers are lifted
+  sectionTool.endDrag();
   isDragging = false;
   previousPinchDistance = 0;
 });
@@ -427,38 +844,60 @@ renderer.domElement.addEventListener('touchend', () => {
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
+  floorPlan?.setAspect(camera.aspect);
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(window.devicePixelRatio);
 });
 
-// --- Keyboard Input ---
-window.addEventListener('keydown', (e) => {
-  const key = e.key.toLowerCase();
-  keysPressed.add(key);
+// --- Keyboard and Gamepad Input ---
+// Keys and gamepads are mapped to actions by the input bindings
+// (input.js), which also gather the mouse and touch gestures above;
+// continuous actions and gestures are read in the animation loop.
+const input = createInputBindings({
+  onAction: handleInputAction,
+  onChange: () => buildControlsReference(),
+});
+let viewpointIndex = -1; // Last viewpoint chosen, for next / previous
+
+// Go to the next (step 1) or previous (step -1) viewpoint
+function stepViewpoint(step) {
+  const count = project?.viewpoints.length ?? 0;
+  if (count === 0) return;
+  let index = (viewpointIndex + step + count) % count;
+  if (viewpointIndex === -1) index = step > 0 ? 0 : count - 1; // None yet
+  selectView(project.viewpoints[index]);
+}
 
-  // Handle single-press actions like location switching
-  switch (key) {
-    case '1':
-      selectView(locations.foyer, false);
+function handleInputAction(action) {
+  switch (action) {
+    case 'toggleFly': // Toggle between walking and free flight
+      isFlyMode = !isFlyMode;
+      walker?.reset();
       break;
-    case '2':
-      selectView(locations.livingRoom, false);
+    case 'nextViewpoint':
+      stepViewpoint(1);
       break;
-    case '3':
-      selectView(locations.kitchen, false);
+    case 'previousViewpoint':
+      stepViewpoint(-1);
       break;
-    case '4':
-      selectView(locations.bedroom, false);
-      break;
-    case '5':
-      selectView(locations.floorPlan, true);
+    case 'toggleTour':
+      startOrToggleGuidedTour();
       break;
   }
-});
+}
 
-window.addEventListener('keyup', (e) => {
-  keysPressed.delete(e.key.toLowerCase());
+window.addEventListener('keydown', (e) => {
+  if (input.handleKeyDown(e) || isEditable(e.target)) return;
+
+  // Viewpoint hotkeys from the manifest. Digits are matched by physical
+  // key, as the unshifted digit row types &é"'( on AZERTY keyboards.
+  const digit = /^(?:Digit|Numpad)(\d)$/.exec(e.code)?.[1];
+  const viewpoint =
+    (digit && project?.hotkeys.get(digit)) ??
+    project?.hotkeys.get(e.key.toLowerCase());
+  if (viewpoint) selectView(viewpoint);
 });
+window.addEventListener('keyup', input.handleKeyUp);
+window.addEventListener('blur', input.releaseKeys);
 
 // --- Bottom Controls Logic ---
 const fullscreenBtn = document.getElementById('fullscreen-btn');
@@ -475,134 +914,1100 @@ modalOverlay?.addEventListener('click', (e) => {
   // If the user clicked on the overlay itself (not the content), close the modal.
   if (e.target === modalOverlay) {
     modalOverlay?.classList.remove('active');
+    input.cancelRebind();
   }
 });
 
-// --- Collapsible Controls ---
-const toggleControlsBtn = document.getElementById('toggle-controls-btn');
-const collapsibleControls = document.getElementById(
-  'collapsible-controls-wrapper',
-);
-
-toggleControlsBtn?.addEventListener('click', () => {
-  // Toggle bottom controls
-  collapsibleControls?.classList.toggle('collapsed');
-  toggleControlsBtn.classList.toggle('is-collapsed');
+// --- Controls Reference ---
+// The help modal lists every action with its key and gamepad binding. A
+// binding is changed by clicking it and pressing the new key or button.
+const controlsBindingsEl = document.getElementById('controls-bindings');
+const controlsSensitivityInputs =
+  document.querySelectorAll('[data-sensitivity]');
+const controlsInvertYInput = document.getElementById('controls-invert-y');
+
+function createBindingButton(action, device) {
+  const btn = document.createElement('button');
+  btn.className = 'binding-btn';
+  btn.textContent = input.describeBinding(action.id, device);
+  btn.setAttribute(
+    'aria-label',
+    `${action.label}: ${btn.textContent}. Click to change.`,
+  );
+  btn.addEventListener('click', () => {
+    btn.textContent =
+      device === 'keys' ? 'Press a key…' : 'Press a button or stick…';
+    btn.classList.add('is-active');
+    input.rebind(action.id, device).then(() => {
+      // A click on another binding cancels this one and starts its own
+      if (!input.isRebinding) buildControlsReference();
+    });
+  });
+  const cell = document.createElement('td');
+  cell.appendChild(btn);
+  return cell;
+}
 
-  const isBottomCollapsed =
-    toggleControlsBtn.classList.contains('is-collapsed');
+function buildControlsReference() {
+  controlsSensitivityInputs.forEach((slider) => {
+    slider.value = String(input.sensitivity[slider.dataset.sensitivity]);
+  });
+  if (controlsInvertYInput) controlsInvertYInput.checked = input.invertY;
+  if (!controlsBindingsEl) return;
+
+  controlsBindingsEl.replaceChildren();
+  ACTIONS.forEach((action) => {
+    const row = document.createElement('tr');
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.textContent = action.label;
+    row.append(
+      label,
+      createBindingButton(action, 'keys'),
+      createBindingButton(action, 'gamepad'),
+    );
+    controlsBindingsEl.appendChild(row);
+  });
+  // Viewpoint hotkeys come from the manifest and can't be changed here
+  project?.hotkeys.forEach((viewpoint, key) => {
+    const row = document.createElement('tr');
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.textContent = viewpoint.name;
+    const keyCell = document.createElement('td');
+    keyCell.textContent = key.toUpperCase();
+    row.append(label, keyCell, document.createElement('td'));
+    controlsBindingsEl.appendChild(row);
+  });
+}
 
-  // This master button also controls the state of the top-right UI for consistency
-  if (locationButtons && toggleUiBtn) {
-    if (isBottomCollapsed) {
-      // Collapse top-right UI as well
-      locationButtons.classList.add('collapsed');
-      toggleUiBtn.classList.add('is-collapsed');
+controlsSensitivityInputs.forEach((slider) => {
+  slider.addEventListener('input', () => {
+    input.setSensitivity(slider.dataset.sensitivity, Number(slider.value));
+  });
+});
+controlsInvertYInput?.addEventListener('change', () => {
+  input.setInvertY(controlsInvertYInput.checked);
+});
+document
+  .getElementById('controls-reset-btn')
+  ?.addEventListener('click', () => input.reset());
+buildControlsReference();
+
+// --- Hotspot Cards ---
+const hotspotOverlay = document.getElementById('hotspot-overlay');
+const hotspotImageEl = document.getElementById('hotspot-image');
+const hotspotTitleEl = document.getElementById('hotspot-title');
+const hotspotTextEl = document.getElementById('hotspot-text');
+const hotspotLinkEl = document.getElementById('hotspot-link');
+
+function openHotspotCard(hotspot) {
+  stopGuidedTour();
+  stopPathPlayback();
+  if (hotspotTitleEl) hotspotTitleEl.textContent = hotspot.title;
+  if (hotspotTextEl) hotspotTextEl.textContent = hotspot.text;
+  if (hotspotImageEl) {
+    hotspotImageEl.hidden = !hotspot.image;
+    if (hotspot.image) {
+      hotspotImageEl.src = hotspot.image;
+      hotspotImageEl.alt = hotspot.title;
     } else {
-      // Expand top-right UI as well
-      locationButtons.classList.remove('collapsed');
-      toggleUiBtn.classList.remove('is-collapsed');
+      hotspotImageEl.removeAttribute('src');
     }
   }
-
-  // Update ARIA label for accessibility
-  toggleControlsBtn.setAttribute(
-    'aria-label',
-    isBottomCollapsed ? 'Show Controls' : 'Hide Controls',
-  );
-});
-
-// --- Full Screen Toggle ---
-function updateFullscreenIcon() {
-  const isFullscreen =
-    document.fullscreenElement || document.webkitFullscreenElement;
-  if (fullscreenBtn) {
-    if (isFullscreen) {
-      fullscreenBtn.classList.add('is-fullscreen');
-      fullscreenBtn.setAttribute('aria-label', 'Exit Fullscreen');
-    } else {
-      fullscreenBtn.classList.remove('is-fullscreen');
-      fullscreenBtn.setAttribute('aria-label', 'Enter Fullscreen');
+  if (hotspotLinkEl) {
+    hotspotLinkEl.hidden = !hotspot.link;
+    if (hotspot.link) {
+      hotspotLinkEl.href = hotspot.link.href;
+      hotspotLinkEl.textContent = hotspot.link.label;
     }
   }
+  hotspotOverlay?.classList.add('active');
 }
 
-function toggleFullscreen() {
-  const docEl = document.documentElement;
-  const isFullscreen =
-    document.fullscreenElement || document.webkitFullscreenElement;
-
-  if (!isFullscreen) {
-    const requestMethod =
-      docEl.requestFullscreen || docEl.webkitRequestFullscreen;
-    if (requestMethod) {
-      requestMethod.call(docEl).catch((err) => {
-        console.error(
-          `Error attempting to enable full-screen mode: ${err.message} (${err.name})`,
-        );
-      });
-    }
-  } else {
-    const exitMethod = document.exitFullscreen || document.webkitExitFullscreen;
-    if (exitMethod) {
-      exitMethod.call(document);
-    }
-  }
+function closeHotspotCard() {
+  hotspotOverlay?.classList.remove('active');
 }
 
-fullscreenBtn?.addEventListener('click', toggleFullscreen);
-document.addEventListener('fullscreenchange', updateFullscreenIcon);
-document.addEventListener('webkitfullscreenchange', updateFullscreenIcon);
+hotspotOverlay?.addEventListener('click', (e) => {
+  // Same as the help modal: clicking outside the card closes it
+  if (e.target === hotspotOverlay) closeHotspotCard();
+});
+document
+  .getElementById('hotspot-close-btn')
+  ?.addEventListener('click', closeHotspotCard);
+window.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeHotspotCard();
+});
 
-// --- Guided Tour Logic ---
-function stopGuidedTour() {
-  if (!isTourActive) return;
-  isTourActive = false;
-  if (tourTimeoutId) clearTimeout(tourTimeoutId);
-  tourTimeoutId = null;
-  guidedTourBtn?.classList.remove('blinking');
+const hotspotsEl = document.getElementById('hotspots');
+const hotspotLayer = createHotspotLayer({
+  container: hotspotsEl,
+  camera,
+  raycaster,
+  onSelect: openHotspotCard,
+});
 
-  // Also remove the active highlight and ARIA attribute from any location button
-  locationButtonMap.forEach((btnId) => {
-    const btn = document.getElementById(btnId);
-    btn?.classList.remove('active-tour-location');
-    btn?.removeAttribute('aria-current');
+// --- Measurement Tool ---
+const measureBtn = document.getElementById('measure-btn');
+const measurePanel = document.getElementById('measure-panel');
+const measureModeBtns = document.querySelectorAll('[data-measure-mode]');
+const measureSnapInput = document.getElementById('measure-snap');
+const measureUnitBtn = document.getElementById('measure-unit-btn');
+
+const measureTool = createMeasureTool({
+  scene,
+  labelContainer: document.getElementById('measure-labels'),
+});
+
+function setMeasureMode(mode) {
+  if (mode) setInspecting(false);
+  measureTool.setMode(mode);
+  pointerMoved = true; // Refresh the hover preview
+  measureBtn?.classList.toggle('is-active', mode !== null);
+  measureBtn?.setAttribute('aria-pressed', String(mode !== null));
+  if (measurePanel) measurePanel.hidden = mode === null;
+  measureModeBtns.forEach((btn) => {
+    btn.classList.toggle('is-active', btn.dataset.measureMode === mode);
   });
 }
 
-function moveToNextTourLocation() {
-  if (!isTourActive) return;
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after this task; revoking now cancels it
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
 
-  // Remove highlight and ARIA attribute from all buttons first
-  locationButtonMap.forEach((btnId) => {
-    const btn = document.getElementById(btnId);
-    btn?.classList.remove('active-tour-location');
-    btn?.removeAttribute('aria-current');
-  });
+function exportMeasurements() {
+  const json = JSON.stringify(measureTool.toJSON(), null, 2);
+  downloadBlob(
+    new Blob([json], { type: 'application/json' }),
+    'measurements.json',
+  );
+}
 
-  const nextLocation = tourLocations[currentTourIndex];
-  const isNextViewFloorPlan = nextLocation === locations.floorPlan;
-  setViewTarget(nextLocation, isNextViewFloorPlan);
+measureBtn?.addEventListener('click', () => {
+  setMeasureMode(measureTool.mode ? null : 'distance');
+});
+measureModeBtns.forEach((btn) => {
+  btn.addEventListener('click', () => setMeasureMode(btn.dataset.measureMode));
+});
+measureSnapInput?.addEventListener('change', () => {
+  measureTool.setSnap(measureSnapInput.checked);
+});
+measureUnitBtn?.addEventListener('click', () => {
+  measureTool.setUnit(measureTool.unit === 'm' ? 'ft' : 'm');
+  measureUnitBtn.textContent = measureTool.unit;
+});
+document
+  .getElementById('measure-export-btn')
+  ?.addEventListener('click', exportMeasurements);
+document
+  .getElementById('measure-clear-btn')
+  ?.addEventListener('click', () => measureTool.clear());
 
-  // Add highlight and ARIA attribute to the new target button
-  const nextBtnId = locationButtonMap.get(nextLocation);
-  if (nextBtnId) {
-    const nextBtn = document.getElementById(nextBtnId);
-    nextBtn?.classList.add('active-tour-location');
-    nextBtn?.setAttribute('aria-current', 'true');
-  }
+window.addEventListener('keydown', (e) => {
+  if (!measureTool.mode) return;
+  if (e.key === 'Escape') measureTool.cancelPending();
+  if (e.key === 'Enter') measureTool.finishArea();
+});
 
-  currentTourIndex = (currentTourIndex + 1) % tourLocations.length;
+// --- Object Inspector ---
+const inspectBtn = document.getElementById('inspect-btn');
+const inspectorEl = document.getElementById('inspector');
+const inspectorNameEl = document.getElementById('inspector-name');
+const inspectorPathEl = document.getElementById('inspector-path');
+const inspectorMaterialEl = document.getElementById('inspector-material');
+const inspectorPropertiesEl = document.getElementById('inspector-properties');
+const inspectorOutlineInput = document.getElementById('inspector-outline');
+
+const objectHighlight = createObjectHighlight({ scene });
+let isInspecting = false; // Clicks select objects instead of teleporting
+
+function setInspecting(active) {
+  isInspecting = active;
+  if (active) setMeasureMode(null);
+  if (!active) objectHighlight.setHover(null);
+  pointerMoved = true; // Refresh the hover highlight
+  inspectBtn?.classList.toggle('is-active', active);
+  inspectBtn?.setAttribute('aria-pressed', String(active));
+  quality.invalidate();
 }
 
-function startOrToggleGuidedTour() {
-  if (isTourActive) {
-    stopGuidedTour();
+// Show a mesh's name, path, material and extras; null closes the panel
+function selectObject(mesh) {
+  objectHighlight.setSelected(mesh);
+  quality.invalidate();
+  if (!inspectorEl) return;
+  inspectorEl.hidden = mesh === null;
+  if (!mesh) return;
+
+  const info = describeObject(mesh, model, renderModes);
+  inspectorNameEl.textContent = info.name;
+  inspectorPathEl.textContent = info.path;
+  inspectorMaterialEl.textContent = info.materials
+    .map(({ name, color }) => (color ? `${name} (${color})` : name))
+    .join(', ');
+
+  inspectorPropertiesEl.replaceChildren();
+  if (info.properties.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No metadata on this object.';
+    inspectorPropertiesEl.appendChild(empty);
+  }
+  info.properties.forEach(({ source, entries }) => {
+    const heading = document.createElement('h3');
+    heading.textContent = source;
+    const list = document.createElement('dl');
+    entries.forEach(([key, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = key;
+      const definition = document.createElement('dd');
+      definition.textContent = formatProperty(value);
+      list.append(term, definition);
+    });
+    inspectorPropertiesEl.append(heading, list);
+  });
+}
+
+inspectBtn?.addEventListener('click', () => setInspecting(!isInspecting));
+document
+  .getElementById('inspector-close-btn')
+  ?.addEventListener('click', () => selectObject(null));
+inspectorOutlineInput?.addEventListener('change', () => {
+  objectHighlight.setOutline(inspectorOutlineInput.checked);
+  quality.invalidate();
+});
+window.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && objectHighlight.selected) selectObject(null);
+});
+
+// --- Section Tool ---
+const sectionBtn = document.getElementById('section-btn');
+const sectionPanel = document.getElementById('section-panel');
+const sectionHorizontalInput = document.getElementById('section-horizontal');
+const sectionHeightSlider = document.getElementById('section-height');
+const sectionVerticalInput = document.getElementById('section-vertical');
+const sectionAxisSelect = document.getElementById('section-axis');
+const sectionOffsetSlider = document.getElementById('section-offset');
+
+const sectionTool = createSectionTool({
+  renderer,
+  scene,
+  renderModes,
+  onChange: updateSectionPanel,
+});
+
+function setSlider(slider, value, range) {
+  if (!slider || !Number.isFinite(range.min)) return;
+  slider.min = String(range.min);
+  slider.max = String(range.max);
+  slider.value = String(value);
+}
+
+// Reflect the tool's state; the plan always cuts horizontally
+function updateSectionPanel() {
+  const { enabled } = sectionTool;
+  if (sectionHorizontalInput) {
+    sectionHorizontalInput.checked = enabled.horizontal || isInFloorPlanView;
+    sectionHorizontalInput.disabled = isInFloorPlanView;
+  }
+  if (sectionVerticalInput) sectionVerticalInput.checked = enabled.vertical;
+  if (sectionAxisSelect) sectionAxisSelect.value = sectionTool.axis;
+  setSlider(sectionHeightSlider, sectionTool.height, sectionTool.heightRange);
+  setSlider(sectionOffsetSlider, sectionTool.offset, sectionTool.offsetRange);
+  sectionBtn?.classList.toggle(
+    'is-active',
+    enabled.horizontal || enabled.vertical,
+  );
+  quality.invalidate();
+}
+
+sectionBtn?.addEventListener('click', () => {
+  if (!sectionPanel) return;
+  sectionPanel.hidden = !sectionPanel.hidden;
+  sectionBtn.setAttribute('aria-expanded', String(!sectionPanel.hidden));
+});
+sectionHorizontalInput?.addEventListener('change', () => {
+  sectionTool.setEnabled('horizontal', sectionHorizontalInput.checked);
+  updateSectionPanel();
+});
+sectionVerticalInput?.addEventListener('change', () => {
+  sectionTool.setEnabled('vertical', sectionVerticalInput.checked);
+  updateSectionPanel();
+});
+sectionHeightSlider?.addEventListener('input', () => {
+  sectionTool.setHeight(Number(sectionHeightSlider.value));
+  quality.invalidate();
+});
+sectionOffsetSlider?.addEventListener('input', () => {
+  sectionTool.setOffset(Number(sectionOffsetSlider.value));
+  quality.invalidate();
+});
+sectionAxisSelect?.addEventListener('change', () => {
+  sectionTool.setAxis(sectionAxisSelect.value);
+  updateSectionPanel();
+});
+document.getElementById('section-flip-btn')?.addEventListener('click', () => {
+  sectionTool.flip();
+  quality.invalidate();
+});
+
+// --- Image Capture ---
+const captureBtn = document.getElementById('capture-btn');
+const capturePanel = document.getElementById('capture-panel');
+const captureSizeSelect = document.getElementById('capture-size');
+const capturePanoramaSelect = document.getElementById('capture-panorama-size');
+const captureBatchPanoramasInput = document.getElementById(
+  'capture-batch-panoramas',
+);
+const captureStatusEl = document.getElementById('capture-status');
+const captureActionBtns = document.querySelectorAll('[data-capture]');
+
+const capture = createCapture({ renderer });
+let isCapturing = false;
+
+STILL_SIZES.forEach(({ label, width, height }, index) => {
+  captureSizeSelect?.add(
+    new Option(`${label} (${width}×${height})`, String(index)),
+  );
+});
+if (captureSizeSelect) captureSizeSelect.value = '1'; // 4K
+PANORAMA_WIDTHS.forEach((width) => {
+  capturePanoramaSelect?.add(
+    new Option(`${width}×${width / 2}`, String(width)),
+  );
+});
+
+// Base of the downloaded file names, from the project name
+function getCaptureName() {
+  const name = (project?.name ?? 'view')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return name || 'view';
+}
+
+// A camera at a first-person viewpoint
+function getViewpointCamera(location) {
+  const viewpointCamera = new THREE.PerspectiveCamera(
+    camera.fov,
+    camera.aspect,
+    camera.near,
+    camera.far,
+  );
+  viewpointCamera.position.copy(location.position);
+  viewpointCamera.rotation.set(
+    location.rotation.x,
+    location.rotation.y,
+    0,
+    'YXZ', // Yaw, then pitch, like the camera rig
+  );
+  return viewpointCamera;
+}
+
+// The floor plan at a floor-plan viewpoint (or as it is), framed for the
+// image's aspect ratio, without the position marker or handles
+function capturePlan(location, { width, height }) {
+  const previous = floorPlan.getLocation();
+  if (location) floorPlan.enter(location, true);
+  floorPlan.setAspect(width / height);
+  floorPlan.update();
+  floorPlan.camera.layers.disable(PLAN_LAYER);
+  floorPlan.camera.layers.disable(HANDLE_LAYER);
+  sectionTool.setPlanView(true);
+  sectionTool.update(floorPlan.camera);
+  try {
+    return capture.renderToPng(width, height, () => floorPlan.render(renderer));
+  } finally {
+    floorPlan.camera.layers.enable(PLAN_LAYER);
+    floorPlan.camera.layers.enable(HANDLE_LAYER);
+    if (location) floorPlan.enter(previous, true);
+    floorPlan.setAspect(camera.aspect);
+    sectionTool.setPlanView(isInFloorPlanView);
+  }
+}
+
+// A still of a viewpoint, or of the current view when location is null
+function captureStill(location, size) {
+  const isPlan = location ? location.mode === 'floor-plan' : isInFloorPlanView;
+  if (isPlan) return capturePlan(location, size);
+  const source = location ? getViewpointCamera(location) : camera;
+  return capture.renderStill(scene, source, size.width, size.height);
+}
+
+// A 360° panorama from a first-person viewpoint, or from the camera rig
+function capturePanorama(location, width) {
+  const position = location ? location.position : cameraGroup.position;
+  const yaw = location ? location.rotation.y : cameraGroup.rotation.y;
+  return capture.renderPanorama(scene, position, yaw, width);
+}
+
+function setCaptureStatus(text) {
+  if (captureStatusEl) captureStatusEl.textContent = text;
+}
+
+// Render and download jobs ({ filename, render }) one after another, with
+// the viewer's own overlays hidden
+async function runCapture(jobs, setStatus = setCaptureStatus) {
+  if (isCapturing || !model) return;
+  isCapturing = true;
+  captureActionBtns.forEach((btn) => (btn.disabled = true));
+  measureTool.setVisible(false);
+  objectHighlight.setVisible(false);
+  avatars.setVisible(false);
+  teleport?.hideMarker();
+
+  try {
+    for (const [index, job] of jobs.entries()) {
+      setStatus(
+        jobs.length > 1
+          ? `Capturing ${index + 1} of ${jobs.length}…`
+          : 'Capturing…',
+      );
+      downloadBlob(await job.render(), job.filename);
+    }
+    setStatus(jobs.length > 1 ? `Saved ${jobs.length} images.` : 'Saved.');
+  } catch (error) {
+    console.error('An error happened while capturing:', error);
+    setStatus(
+      error instanceof CaptureSizeError ||
+        error instanceof VideoUnsupportedError
+        ? error.message
+        : 'The capture failed.',
+    );
+  } finally {
+    measureTool.setVisible(true);
+    objectHighlight.setVisible(true);
+    avatars.setVisible(true);
+    pointerMoved = true; // Bring the hover marker back
+    captureActionBtns.forEach((btn) => (btn.disabled = false));
+    isCapturing = false;
+    quality.invalidate();
+  }
+}
+
+function getStillSize() {
+  return STILL_SIZES[Number(captureSizeSelect?.value ?? 1)];
+}
+
+function getPanoramaWidth() {
+  return Number(capturePanoramaSelect?.value ?? PANORAMA_WIDTHS[0]);
+}
+
+captureBtn?.addEventListener('click', () => {
+  if (!capturePanel) return;
+  capturePanel.hidden = !capturePanel.hidden;
+  captureBtn.setAttribute('aria-expanded', String(!capturePanel.hidden));
+});
+document.getElementById('capture-still-btn')?.addEventListener('click', () => {
+  runCapture([
+    {
+      filename: `${getCaptureName()}.png`,
+      render: () => captureStill(null, getStillSize()),
+    },
+  ]);
+});
+document
+  .getElementById('capture-panorama-btn')
+  ?.addEventListener('click', () => {
+    runCapture([
+      {
+        filename: `${getCaptureName()}-360.png`,
+        render: () => capturePanorama(null, getPanoramaWidth()),
+      },
+    ]);
+  });
+// Every viewpoint in the manifest, optionally with a panorama for each
+// first-person one
+document.getElementById('capture-batch-btn')?.addEventListener('click', () => {
+  if (!project) return;
+  const size = getStillSize();
+  const width = getPanoramaWidth();
+  const withPanoramas = captureBatchPanoramasInput?.checked ?? false;
+  const jobs = [];
+  project.viewpoints.forEach((viewpoint) => {
+    const name = `${getCaptureName()}-${viewpoint.id}`;
+    jobs.push({
+      filename: `${name}.png`,
+      render: () => captureStill(viewpoint, size),
+    });
+    if (withPanoramas && viewpoint.mode === 'first-person') {
+      jobs.push({
+        filename: `${name}-360.png`,
+        render: () => capturePanorama(viewpoint, width),
+      });
+    }
+  });
+  runCapture(jobs);
+});
+
+// --- Camera Path Recorder ---
+// Records the camera rig while the visitor walks through by hand and
+// replays it (camera-path.js). Playback follows path time rather than
+// frames, so a path replays (and exports to video) the same on any device.
+const recorderBtn = document.getElementById('recorder-btn');
+const recorderPanel = document.getElementById('recorder-panel');
+const recorderRecordBtn = document.getElementById('recorder-record-btn');
+const recorderPlayBtn = document.getElementById('recorder-play-btn');
+const recorderDurationInput = document.getElementById('recorder-duration');
+const recorderKeyframesEl = document.getElementById('recorder-keyframes');
+const recorderFileInput = document.getElementById('recorder-file');
+const recorderStatusEl = document.getElementById('recorder-status');
+const recorderPathControls = document.querySelectorAll('[data-camera-path]'); // Need a path
+
+let cameraPath = null;
+let pathSamples = null; // Rig samples while recording
+let pathRecordTime = 0;
+let isPathPlaying = false;
+let pathTime = 0;
+let isExportingVideo = false; // The animation loop is paused meanwhile
+
+function setRecorderStatus(text) {
+  if (recorderStatusEl) recorderStatusEl.textContent = text;
+}
+
+function updateRecorderPanel() {
+  const isRecording = pathSamples !== null;
+  if (recorderRecordBtn) {
+    recorderRecordBtn.textContent = isRecording ? 'Stop Recording' : 'Record';
+    recorderRecordBtn.classList.toggle('is-active', isRecording);
+    recorderRecordBtn.disabled = isPathPlaying;
+  }
+  if (recorderPlayBtn) {
+    recorderPlayBtn.textContent = isPathPlaying ? 'Stop' : 'Play';
+    recorderPlayBtn.classList.toggle('is-active', isPathPlaying);
+  }
+  recorderPathControls.forEach((control) => {
+    control.disabled = !cameraPath || isRecording;
+  });
+}
+
+// One time input per keyframe; the first keyframe always starts the path
+function buildKeyframeList() {
+  if (recorderDurationInput) {
+    recorderDurationInput.value = cameraPath
+      ? cameraPath.duration.toFixed(2)
+      : '';
+  }
+  if (!recorderKeyframesEl) return;
+  recorderKeyframesEl.replaceChildren();
+  cameraPath?.keyframes.forEach((keyframe, index) => {
+    const item = document.createElement('li');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '0.05';
+    input.value = keyframe.time.toFixed(2);
+    input.disabled = index === 0;
+    input.setAttribute('aria-label', `Keyframe ${index + 1} Time (s)`);
+    input.addEventListener('change', () => {
+      cameraPath.setKeyframeTime(index, Number(input.value));
+      buildKeyframeList();
+    });
+
+    const viewBtn = document.createElement('button');
+    viewBtn.textContent = 'View';
+    viewBtn.setAttribute('aria-label', `View Keyframe ${index + 1}`);
+    viewBtn.addEventListener('click', () => {
+      stopPathPlayback();
+      stopGuidedTour();
+      isTransitioning = false;
+      applyPathPose(cameraPath.poseAt(keyframe.time));
+      walker?.reset();
+    });
+
+    item.append(input, ' s ', viewBtn);
+    recorderKeyframesEl.appendChild(item);
+  });
+}
+
+function setCameraPath(path) {
+  cameraPath = path;
+  buildKeyframeList();
+  updateRecorderPanel();
+}
+
+function startRecording() {
+  stopPathPlayback();
+  pathSamples = [];
+  pathRecordTime = 0;
+  setRecorderStatus('Recording…');
+  updateRecorderPanel();
+}
+
+function stopRecording() {
+  const samples = pathSamples;
+  pathSamples = null;
+  try {
+    setCameraPath(createPathFromSamples(samples));
+    setRecorderStatus(
+      `Recorded ${cameraPath.duration.toFixed(1)} s (${cameraPath.keyframes.length} keyframes).`,
+    );
+  } catch (error) {
+    if (!(error instanceof CameraPathError)) throw error;
+    setRecorderStatus(error.message);
+    updateRecorderPanel();
+  }
+}
+
+// Sample the camera rig (called every frame, rendered or not)
+function recordPathSample(delta) {
+  pathRecordTime += delta;
+  pathSamples.push({
+    time: pathRecordTime,
+    position: cameraGroup.position.clone(),
+    pitch: camera.rotation.x,
+    yaw: cameraGroup.rotation.y,
+  });
+}
+
+// Put the camera exactly at a path pose
+function applyPathPose(pose) {
+  isInFloorPlanView = false;
+  cameraGroup.position.copy(pose.position);
+  camera.rotation.x = pose.pitch;
+  cameraGroup.rotation.y = pose.yaw;
+  // Keep the targets in step so nothing jumps when playback stops
+  targetPosition.copy(pose.position);
+  targetRotation.x = pose.pitch;
+  targetRotation.y = pose.yaw;
+}
+
+function startPathPlayback() {
+  if (!cameraPath || pathSamples) return;
+  stopGuidedTour();
+  isTransitioning = false; // Playback drives the camera directly
+  isPathPlaying = true;
+  pathTime = 0;
+  updateRecorderPanel();
+}
+
+function stopPathPlayback() {
+  if (!isPathPlaying) return;
+  isPathPlaying = false;
+  walker?.reset();
+  updateRecorderPanel();
+}
+
+// Advance playback and move the camera to the path (called every frame)
+function updatePathPlayback(delta) {
+  pathTime = Math.min(pathTime + delta, cameraPath.duration);
+  applyPathPose(cameraPath.poseAt(pathTime));
+  if (pathTime >= cameraPath.duration) stopPathPlayback();
+}
+
+// Render the path frame by frame into a Full HD WebM. The animation loop
+// is paused so nothing else draws to the canvas while it records.
+async function renderPathVideo() {
+  const { width, height } = VIDEO_SIZE;
+  const videoCamera = new THREE.PerspectiveCamera(
+    camera.fov,
+    width / height,
+    camera.near,
+    camera.far,
+  );
+  videoCamera.rotation.order = 'YXZ'; // Yaw, then pitch, like the camera rig
+
+  stopPathPlayback();
+  cancelAnimationFrame(animationFrameId);
+  isExportingVideo = true;
+  sectionTool.setPlanView(false);
+  try {
+    return await capture.renderVideo(
+      width,
+      height,
+      cameraPath.duration,
+      (videoRenderer, time) => {
+        const pose = cameraPath.poseAt(time);
+        videoCamera.position.copy(pose.position);
+        videoCamera.rotation.set(pose.pitch, pose.yaw, 0);
+        videoCamera.updateMatrixWorld();
+        videoRenderer.render(scene, videoCamera);
+      },
+      (progress) =>
+        setRecorderStatus(`Exporting video… ${Math.round(progress * 100)}%`),
+    );
+  } finally {
+    isExportingVideo = false;
+    if (!document.hidden) {
+      clock.getDelta(); // Don't count the export as one long frame
+      cancelAnimationFrame(animationFrameId); // Never run two loops
+      animate();
+    }
+  }
+}
+
+recorderBtn?.addEventListener('click', () => {
+  if (!recorderPanel) return;
+  recorderPanel.hidden = !recorderPanel.hidden;
+  recorderBtn.setAttribute('aria-expanded', String(!recorderPanel.hidden));
+});
+recorderRecordBtn?.addEventListener('click', () => {
+  if (pathSamples) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+});
+recorderPlayBtn?.addEventListener('click', () => {
+  if (isPathPlaying) {
+    stopPathPlayback();
+  } else {
+    startPathPlayback();
+  }
+});
+recorderDurationInput?.addEventListener('change', () => {
+  cameraPath?.setDuration(Number(recorderDurationInput.value));
+  buildKeyframeList();
+});
+document.getElementById('recorder-save-btn')?.addEventListener('click', () => {
+  if (!cameraPath) return;
+  const json = JSON.stringify(cameraPath.toJSON(), null, 2);
+  downloadBlob(
+    new Blob([json], { type: 'application/json' }),
+    `${getCaptureName()}-path.json`,
+  );
+});
+document
+  .getElementById('recorder-load-btn')
+  ?.addEventListener('click', () => recorderFileInput?.click());
+recorderFileInput?.addEventListener('change', async () => {
+  const [file] = recorderFileInput.files;
+  recorderFileInput.value = ''; // Allow loading the same file again
+  if (!file) return;
+  try {
+    setCameraPath(parseCameraPath(JSON.parse(await file.text())));
+    setRecorderStatus(`Loaded ${file.name}.`);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      setRecorderStatus('This file is not valid JSON.');
+    } else if (error instanceof CameraPathError) {
+      setRecorderStatus(error.message);
+    } else {
+      throw error;
+    }
+  }
+});
+document.getElementById('recorder-video-btn')?.addEventListener('click', () => {
+  if (!cameraPath) return;
+  runCapture(
+    [{ filename: `${getCaptureName()}-path.webm`, render: renderPathVideo }],
+    setRecorderStatus,
+  );
+});
+updateRecorderPanel();
+
+// --- Render Mode Toggle ---
+const renderModeBtn = document.getElementById('render-mode-btn');
+const exposureControl = document.getElementById('exposure-control');
+const exposureSlider = document.getElementById('exposure-slider');
+
+function setRenderMode(mode) {
+  renderModes.setMode(mode);
+  daylight?.setEnabled(mode === 'daylight');
+  updateDaylightPanel();
+  const isRealistic = mode === 'realistic';
+  renderModeBtn?.classList.toggle('is-active', isRealistic);
+  renderModeBtn?.setAttribute('aria-pressed', String(isRealistic));
+  renderModeBtn?.setAttribute(
+    'aria-label',
+    isRealistic ? 'Switch to Unlit Rendering' : 'Switch to Realistic Rendering',
+  );
+  if (exposureControl) exposureControl.hidden = !isRealistic;
+}
+
+function setExposure(value) {
+  renderModes.setExposure(value);
+  if (exposureSlider) exposureSlider.value = String(value);
+}
+
+renderModeBtn?.addEventListener('click', () => {
+  setRenderMode(renderModes.mode === 'realistic' ? 'unlit' : 'realistic');
+});
+
+exposureSlider?.addEventListener('input', () => {
+  renderModes.setExposure(Number(exposureSlider.value));
+});
+
+// --- Daylight Study ---
+// With a "daylight" section in the manifest, the sun button switches to
+// the "daylight" render mode (daylight.js): the model lit by the sun of the
+// site for a day and time, which the panel sets or plays through.
+const daylightBtn = document.getElementById('daylight-btn');
+const daylightPanel = document.getElementById('daylight-panel');
+const daylightDateInput = document.getElementById('daylight-date');
+const daylightTimeSlider = document.getElementById('daylight-time');
+const daylightPlayBtn = document.getElementById('daylight-play-btn');
+const daylightStatusEl = document.getElementById('daylight-status');
+let daylight = null; // Created once the manifest has loaded, if enabled
+let lightingMode = 'realistic'; // The mode the sun button switches back to
+
+function startDaylight() {
+  if (!project.daylight) return;
+  daylight = createDaylight({
+    renderer,
+    scene,
+    renderModes,
+    location: project.daylight,
+  });
+  if (daylightBtn) daylightBtn.hidden = false;
+}
+
+function describeDaylight() {
+  const { altitude, azimuth } = daylight.position;
+  const degrees = Math.round(THREE.MathUtils.radToDeg(altitude));
+  const sun =
+    degrees > 0
+      ? `Sun ${degrees}° up in the ${compassPoint(azimuth)}.`
+      : 'Sun below the horizon.';
+  const { sunrise, sunset } = daylight;
+  if (sunrise === null && sunset === null) {
+    return `${sun} ${degrees > 0 ? 'No sunset' : 'No sunrise'} this day.`;
+  }
+  return [
+    sun,
+    sunrise !== null && `Sunrise ${formatMinutes(sunrise)}.`,
+    sunset !== null && `Sunset ${formatMinutes(sunset)}.`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Show the panel while in the daylight mode, with the current day and time
+function updateDaylightPanel() {
+  const isDaylight = renderModes.mode === 'daylight';
+  daylightBtn?.classList.toggle('is-active', isDaylight);
+  daylightBtn?.setAttribute('aria-pressed', String(isDaylight));
+  if (daylightPanel) daylightPanel.hidden = !isDaylight;
+  if (!daylight || !isDaylight) return;
+  const time = formatMinutes(daylight.minutes);
+  if (daylightDateInput) daylightDateInput.value = daylight.day;
+  if (daylightTimeSlider) {
+    daylightTimeSlider.value = String(Math.round(daylight.minutes));
+    daylightTimeSlider.setAttribute('aria-valuetext', time);
+  }
+  if (daylightPlayBtn) {
+    daylightPlayBtn.textContent = daylight.isPlaying ? 'Pause' : 'Play Day';
+    daylightPlayBtn.setAttribute('aria-pressed', String(daylight.isPlaying));
+  }
+  if (daylightStatusEl) {
+    daylightStatusEl.textContent = `${time}: ${describeDaylight()}`;
+  }
+}
+
+daylightBtn?.addEventListener('click', () => {
+  if (renderModes.mode === 'daylight') {
+    setRenderMode(lightingMode);
+  } else {
+    lightingMode = renderModes.mode;
+    setRenderMode('daylight');
+  }
+  quality.invalidate();
+});
+daylightDateInput?.addEventListener('change', () => {
+  daylight.setDay(daylightDateInput.value);
+  updateDaylightPanel();
+  quality.invalidate();
+});
+daylightTimeSlider?.addEventListener('input', () => {
+  daylight.pause();
+  daylight.setTime(Number(daylightTimeSlider.value));
+  updateDaylightPanel();
+  quality.invalidate();
+});
+daylightPlayBtn?.addEventListener('click', () => {
+  if (daylight.isPlaying) {
+    daylight.pause();
+  } else {
+    daylight.play();
+  }
+  updateDaylightPanel();
+  quality.invalidate();
+});
+
+// --- Quality Setting ---
+const qualitySelect = document.getElementById('quality-select');
+if (qualitySelect) qualitySelect.value = quality.setting;
+qualitySelect?.addEventListener('change', () => {
+  quality.setSetting(qualitySelect.value);
+});
+
+// Textures that finish loading after their material is shown (lightmaps)
+// need one more frame
+THREE.DefaultLoadingManager.onLoad = quality.invalidate;
+
+// Stop the loop entirely while the tab is hidden
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) {
+    cancelAnimationFrame(animationFrameId);
+  } else if (!isExportingVideo) {
+    clock.getDelta(); // Don't count the hidden time as one long frame
+    // A page loaded hidden already has a frame queued; never run two loops
+    cancelAnimationFrame(animationFrameId);
+    animate();
+  }
+});
+
+// --- Collapsible Controls ---
+const toggleControlsBtn = document.getElementById('toggle-controls-btn');
+const collapsibleControls = document.getElementById(
+  'collapsible-controls-wrapper',
+);
+
+toggleControlsBtn?.addEventListener('click', () => {
+  // Toggle bottom controls
+  collapsibleControls?.classList.toggle('collapsed');
+  toggleControlsBtn.classList.toggle('is-collapsed');
+
+  const isBottomCollapsed =
+    toggleControlsBtn.classList.contains('is-collapsed');
+
+  // This master button also controls the state of the top-right UI for consistency
+  if (locationButtons && toggleUiBtn) {
+    if (isBottomCollapsed) {
+      // Collapse top-right UI as well
+      locationButtons.classList.add('collapsed');
+      toggleUiBtn.classList.add('is-collapsed');
+      minimapEl?.classList.add('collapsed');
+    } else {
+      // Expand top-right UI as well
+      locationButtons.classList.remove('collapsed');
+      toggleUiBtn.classList.remove('is-collapsed');
+      minimapEl?.classList.remove('collapsed');
+    }
+  }
+
+  // Update ARIA label for accessibility
+  toggleControlsBtn.setAttribute(
+    'aria-label',
+    isBottomCollapsed ? 'Show Controls' : 'Hide Controls',
+  );
+});
+
+// --- Full Screen Toggle ---
+function updateFullscreenIcon() {
+  const isFullscreen =
+    document.fullscreenElement || document.webkitFullscreenElement;
+  if (fullscreenBtn) {
+    if (isFullscreen) {
+      fullscreenBtn.classList.add('is-fullscreen');
+      fullscreenBtn.setAttribute('aria-label', 'Exit Fullscreen');
+    } else {
+      fullscreenBtn.classList.remove('is-fullscreen');
+      fullscreenBtn.setAttribute('aria-label', 'Enter Fullscreen');
+    }
+  }
+}
+
+function toggleFullscreen() {
+  const docEl = document.documentElement;
+  const isFullscreen =
+    document.fullscreenElement || document.webkitFullscreenElement;
+
+  if (!isFullscreen) {
+    const requestMethod =
+      docEl.requestFullscreen || docEl.webkitRequestFullscreen;
+    if (requestMethod) {
+      requestMethod.call(docEl).catch((err) => {
+        console.error(
+          `Error attempting to enable full-screen mode: ${err.message} (${err.name})`,
+        );
+      });
+    }
+  } else {
+    const exitMethod = document.exitFullscreen || document.webkitExitFullscreen;
+    if (exitMethod) {
+      exitMethod.call(document);
+    }
+  }
+}
+
+fullscreenBtn?.addEventListener('click', toggleFullscreen);
+document.addEventListener('fullscreenchange', updateFullscreenIcon);
+document.addEventListener('webkitfullscreenchange', updateFullscreenIcon);
+
+// --- Guided Tour Logic ---
+// The tour player (tour.js) owns the timeline. While a tour is active the
+// camera shows whatever pose it returns each frame.
+const tourBar = document.getElementById('tour-bar');
+const tourPlayBtn = document.getElementById('tour-play-btn');
+const tourScrubber = document.getElementById('tour-scrubber');
+const tourCaption = document.getElementById('tour-caption');
+let tourStopLocation = null; // Highlighted stop
+let isScrubbing = false;
+
+// Highlight the location button of the current stop (null clears it)
+function highlightTourStop(location) {
+  locationButtonMap.forEach((btn, viewpoint) => {
+    btn.classList.toggle('active-tour-location', viewpoint === location);
+    if (viewpoint === location) {
+      btn.setAttribute('aria-current', 'true');
+    } else {
+      btn.removeAttribute('aria-current');
+    }
+  });
+}
+
+function stopGuidedTour() {
+  if (!isTourActive) return;
+  isTourActive = false;
+  tourStopLocation = null;
+  guidedTourBtn?.classList.remove('blinking');
+  if (tourBar) tourBar.hidden = true;
+  if (tourCaption) tourCaption.hidden = true;
+  highlightTourStop(null);
+  embed.emit('tourend');
+  analytics?.log('tourend', {
+    stopsSeen: tourStopsSeen.size,
+    stopCount: tourLocations.length,
+  });
+}
+
+// The camera pose a tour lead-in starts from
+function getCurrentPose() {
+  if (isInFloorPlanView) return { mode: 'floor-plan' };
+  return {
+    mode: 'first-person',
+    position: cameraGroup.position.clone(),
+    yaw: cameraGroup.rotation.y,
+    pitch: camera.rotation.x,
+  };
+}
+
+// Start the tour at the stop at startIndex, travelling there first unless
+// the camera is already at it
+function startGuidedTour(startIndex) {
+  if (!tour || tourLocations.length === 0) return;
+  breakAway();
+  const location = tourLocations[startIndex];
+  const isAtStop =
+    location.mode === 'floor-plan'
+      ? isInFloorPlanView
+      : !isInFloorPlanView &&
+        cameraGroup.position.distanceTo(location.position) < 0.1;
+
+  stopPathPlayback();
+  tour.start(startIndex, isAtStop ? null : getCurrentPose());
+  isTourActive = true;
+  tourStopsSeen.clear();
+  analytics?.log('tourstart', { viewId: location.id });
+  isTransitioning = false; // The tour drives the camera directly
+  guidedTourBtn?.classList.add('blinking');
+  if (tourBar) tourBar.hidden = false;
+}
+
+function startOrToggleGuidedTour() {
+  if (isTourActive) {
+    stopGuidedTour();
   } else {
-    isTourActive = true;
-    guidedTourBtn?.classList.add('blinking');
+    if (tourLocations.length === 0) return;
 
-    // Find the nearest tour location to the camera's current position.
+    // Start from the tour location nearest to the camera's current position
     let nearestIndex = 0;
     let minDistance = Infinity;
 
@@ -614,67 +2019,1039 @@ function startOrToggleGuidedTour() {
       }
     });
 
-    // If we're already very close to the nearest point, start the tour
-    // from the *next* location in the sequence.
-    if (minDistance < 0.1) {
-      currentTourIndex = (nearestIndex + 1) % tourLocations.length;
-    } else {
-      // Otherwise, start the tour by moving to that nearest location first.
-      currentTourIndex = nearestIndex;
+    startGuidedTour(nearestIndex);
+  }
+}
+
+// Advance the tour and move the camera to its pose (called every frame)
+function updateGuidedTour(delta) {
+  const pose = tour.update(delta);
+  if (!pose) return;
+
+  if (pose.mode === 'floor-plan') {
+    isInFloorPlanView = true;
+    floorPlan.enter(pose.location);
+  } else {
+    isInFloorPlanView = false;
+    cameraGroup.position.copy(pose.position);
+    camera.rotation.x = pose.pitch;
+    cameraGroup.rotation.y = pose.yaw;
+    // Keep the targets in step so nothing jumps when the tour stops
+    targetPosition.copy(pose.position);
+    targetRotation.x = pose.pitch;
+    targetRotation.y = pose.yaw;
+  }
+
+  if (pose.stop.viewpoint !== tourStopLocation) {
+    tourStopLocation = pose.stop.viewpoint;
+    highlightTourStop(tourStopLocation);
+    embed.emit('tourstep', {
+      index: tour.stopIndex,
+      viewId: tourStopLocation.id,
+    });
+    tourStopsSeen.add(tourStopLocation);
+    if (tourStopsSeen.size === tourLocations.length) {
+      analytics?.log('tourcomplete', { stopCount: tourLocations.length });
     }
+  }
+  updateTourControls();
+}
 
-    moveToNextTourLocation();
+function updateTourControls() {
+  if (tourScrubber && !isScrubbing) {
+    tourScrubber.max = String(tour.duration);
+    tourScrubber.value = String(tour.time);
+  }
+  if (tourPlayBtn) {
+    tourPlayBtn.textContent = tour.isPlaying ? '❚❚' : '▶';
+    tourPlayBtn.setAttribute(
+      'aria-label',
+      tour.isPlaying ? 'Pause Tour' : 'Resume Tour',
+    );
+  }
+  if (tourCaption) {
+    const caption = tour.getCaption();
+    if (tourCaption.textContent !== caption) tourCaption.textContent = caption;
+    tourCaption.hidden = !caption;
   }
 }
 
+tourPlayBtn?.addEventListener('click', () => {
+  if (tour.isPlaying) {
+    tour.pause();
+  } else {
+    tour.resume();
+  }
+});
+tourScrubber?.addEventListener('pointerdown', () => (isScrubbing = true));
+window.addEventListener('pointerup', () => (isScrubbing = false));
+tourScrubber?.addEventListener('input', () => {
+  tour.seek(Number(tourScrubber.value));
+});
+
 guidedTourBtn?.addEventListener('click', startOrToggleGuidedTour);
 
+// --- Shareable View Links ---
+const copyLinkBtn = document.getElementById('copy-link-btn');
+let lastViewHash = ''; // Last hash written for the camera, to skip redundant writes
+let lastViewHashTime = 0;
+let pendingTourLink = null; // Tour requested by the link, started on "Start"
+let lastEmbedCameraHash = ''; // Last camera reported to embedding hosts
+
+function getCurrentViewHash() {
+  return appendVariants(getCameraHash(), variants.selection);
+}
+
+function getCameraHash() {
+  if (isInFloorPlanView) {
+    const location = floorPlan.getLocation();
+    return encodeViewHash({
+      position: location.position,
+      pitch: location.rotation.x,
+      yaw: location.rotation.y,
+      isFloorPlan: true,
+    });
+  }
+  return encodeViewHash({
+    position: cameraGroup.position,
+    pitch: camera.rotation.x,
+    yaw: cameraGroup.rotation.y,
+    isFloorPlan: isInFloorPlanView,
+  });
+}
+
+// Apply a parsed link. On startup the camera jumps straight to the view;
+// links followed later (hashchange) use the normal smooth transition.
+function applyViewLink(link, immediate = false) {
+  if (!link || !project) return false;
+  const moveTo = immediate ? jumpToView : selectView;
+
+  if (link.type === 'camera') {
+    moveTo({
+      position: new THREE.Vector3(...link.position),
+      rotation: { x: link.pitch, y: link.yaw },
+      mode: link.isFloorPlan ? 'floor-plan' : 'first-person',
+    });
+    return true;
+  }
+
+  if (link.type === 'view') {
+    const viewpoint = project.viewpointsById.get(link.viewId);
+    if (!viewpoint) {
+      console.warn(`Unknown viewpoint in link: "${link.viewId}"`);
+      return false;
+    }
+    moveTo(viewpoint);
+    return true;
+  }
+
+  if (link.type === 'tour') {
+    const viewpoint = link.viewId
+      ? project.viewpointsById.get(link.viewId)
+      : tourLocations[0];
+    const startIndex = tourLocations.indexOf(viewpoint);
+    if (startIndex === -1) {
+      console.warn(`Viewpoint "${link.viewId}" is not part of the tour`);
+      return false;
+    }
+    stopGuidedTour();
+    stopPathPlayback();
+    if (immediate) {
+      // Wait for the visitor to press "Start" before the tour runs
+      jumpToView(viewpoint);
+      pendingTourLink = startIndex;
+    } else {
+      startGuidedTour(startIndex);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+// Keep the URL hash in sync with the camera once it has settled, so the
+// address bar can be shared at any time. Tours keep their own link.
+function updateViewLink() {
+  if (!project || isTourActive || isTransitioning || isDragging) return;
+  const now = performance.now();
+  if (now - lastViewHashTime < 500) return;
+  lastViewHashTime = now;
+
+  const hash = getCurrentViewHash();
+  if (hash !== lastViewHash) {
+    lastViewHash = hash;
+    history.replaceState(null, '', hash);
+  }
+  // Variant changes alter the hash too; only camera moves are view changes
+  const cameraHash = getCameraHash();
+  if (cameraHash !== lastEmbedCameraHash) {
+    lastEmbedCameraHash = cameraHash;
+    embed.emit('viewchange', getCameraState());
+  }
+}
+
+function getShareUrl() {
+  let hash = getCurrentViewHash();
+  if (isTourActive) {
+    hash = appendVariants(
+      encodeNamedHash(tourLocations[tour.stopIndex].id, { tour: true }),
+      variants.selection,
+    );
+  }
+  const url = new URL(window.location.href);
+  url.hash = hash;
+  return url.href;
+}
+
+async function copyViewLink() {
+  const url = getShareUrl();
+  try {
+    await navigator.clipboard.writeText(url);
+    copyLinkBtn?.classList.add('copied');
+    copyLinkBtn?.setAttribute('aria-label', 'Link Copied');
+    setTimeout(() => {
+      copyLinkBtn?.classList.remove('copied');
+      copyLinkBtn?.setAttribute('aria-label', 'Copy Link');
+    }, 1500);
+  } catch (err) {
+    // Clipboard access can be blocked (e.g. insecure context); let the user copy by hand.
+    console.error('Could not copy link to clipboard:', err);
+    window.prompt('Copy this link:', url);
+  }
+}
+
+copyLinkBtn?.addEventListener('click', copyViewLink);
+
+window.addEventListener('hashchange', () => {
+  applyViewLink(parseViewHash(window.location.hash));
+  variants
+    .setSelection(parseVariants(window.location.hash))
+    .then(onVariantsChanged);
+});
+
+// --- Embedding API ---
+// window.exiviz and the postMessage bridge for iframe hosts (embed.js) wrap
+// the viewer's own controls. Each call asks for a frame, since the render
+// loop sleeps while nothing moves.
+function requireProject() {
+  if (!project) throw new EmbedError('The project is still loading.');
+}
+
+function goToView(id, { immediate = false } = {}) {
+  requireProject();
+  const viewpoint = project.viewpointsById.get(id);
+  if (!viewpoint) throw new EmbedError(`Unknown viewpoint "${id}".`);
+  stopPathPlayback();
+  if (immediate) {
+    stopGuidedTour();
+    jumpToView(viewpoint);
+    walker?.reset();
+  } else {
+    selectView(viewpoint);
+  }
+}
+
+// Start the tour at a stop, or (without an id) at the nearest stop
+function startTour(id) {
+  requireProject();
+  if (tourLocations.length === 0) {
+    throw new EmbedError('This project has no tour.');
+  }
+  if (id === undefined) {
+    if (!isTourActive) startOrToggleGuidedTour();
+    return;
+  }
+  const index = tourLocations.findIndex((viewpoint) => viewpoint.id === id);
+  if (index === -1) {
+    throw new EmbedError(`Viewpoint "${id}" is not part of the tour.`);
+  }
+  startGuidedTour(index);
+}
+
+function stopTour() {
+  stopGuidedTour();
+}
+
+// Switch between the first-person view (where the visitor last stood) and
+// the floor plan (the manifest's plan view, if it has one)
+function setMode(mode) {
+  requireProject();
+  if (!VIEW_MODES.includes(mode)) {
+    throw new EmbedError(
+      `Unknown mode "${mode}". Use ${VIEW_MODES.map((m) => `"${m}"`).join(' or ')}.`,
+    );
+  }
+  if ((mode === 'floor-plan') === isInFloorPlanView) return;
+  stopPathPlayback();
+  if (mode === 'floor-plan') {
+    selectView(
+      project.viewpoints.find((v) => v.mode === 'floor-plan') ??
+        floorPlan.getLocation(),
+    );
+  } else {
+    selectView({
+      position: cameraGroup.position.clone(),
+      rotation: { x: camera.rotation.x, y: cameraGroup.rotation.y },
+      mode: 'first-person',
+    });
+  }
+}
+
+// The camera as plain data, with the viewpoint it is at (if any)
+function getCameraState() {
+  const mode = isInFloorPlanView ? 'floor-plan' : 'first-person';
+  const location = isInFloorPlanView
+    ? floorPlan.getLocation()
+    : {
+        position: cameraGroup.position,
+        rotation: { x: camera.rotation.x, y: cameraGroup.rotation.y },
+      };
+  const viewpoint = project?.viewpoints.find(
+    (v) => v.mode === mode && v.position.distanceTo(location.position) < 0.1,
+  );
+  return {
+    mode,
+    position: location.position.toArray(),
+    pitch: location.rotation.x,
+    yaw: location.rotation.y,
+    viewId: viewpoint?.id ?? null,
+    isTourActive,
+  };
+}
+
+const embed = createEmbedBridge({
+  methods: Object.fromEntries(
+    Object.entries({
+      goToView,
+      startTour,
+      stopTour,
+      setMode,
+      getCameraState,
+    }).map(([name, method]) => [
+      name,
+      (...args) => {
+        try {
+          return method(...args);
+        } finally {
+          quality.invalidate();
+        }
+      },
+    ]),
+  ),
+});
+window.exiviz = embed.api;
+
+// --- Authoring Mode ---
+// With ?author in the URL the debug panel becomes a viewpoint editor
+// (authoring.js). Every edit is validated like a manifest and applied to
+// the running viewer; the result exports as a project manifest.
+const isAuthoring = new URLSearchParams(window.location.search).has('author');
+const debugPanel = document.getElementById('debug-panel');
+const authoringEl = document.getElementById('authoring');
+const authoringListEl = document.getElementById('authoring-viewpoints');
+const authoringTourEl = document.getElementById('authoring-tour');
+const authoringNameInput = document.getElementById('authoring-name');
+const authoringFileInput = document.getElementById('authoring-file');
+const authoringStatusEl = document.getElementById('authoring-status');
+
+let viewpointEditor = null;
+
+function setAuthoringStatus(text) {
+  if (authoringStatusEl) authoringStatusEl.textContent = text;
+}
+
+// The camera as viewpoint data
+function getAuthoringPose() {
+  if (isInFloorPlanView) {
+    const location = floorPlan.getLocation();
+    return {
+      position: location.position,
+      pitch: location.rotation.x,
+      yaw: location.rotation.y,
+      mode: 'floor-plan',
+    };
+  }
+  return {
+    position: cameraGroup.position,
+    pitch: camera.rotation.x,
+    yaw: cameraGroup.rotation.y,
+    mode: 'first-person',
+  };
+}
+
+// Validate the edited viewpoints and tour and swap them into the viewer.
+// Returns false (and shows why) if they don't make a valid manifest.
+function applyEditedViewpoints() {
+  let manifest;
+  try {
+    manifest = validateManifest(viewpointEditor.toManifest());
+  } catch (error) {
+    if (!(error instanceof ManifestError)) throw error;
+    setAuthoringStatus(error.message);
+    return false;
+  }
+
+  stopGuidedTour();
+  Object.assign(project, {
+    viewpoints: manifest.viewpoints,
+    viewpointsById: manifest.viewpointsById,
+    hotkeys: manifest.hotkeys,
+    tour: manifest.tour,
+    start: manifest.start,
+  });
+  tourLocations = manifest.tour.map((stop) => stop.viewpoint);
+  tour = createTour(manifest.tour);
+  viewpointIndex = -1;
+  buildLocationButtons(manifest.viewpoints);
+  floorPlan.setLabels(manifest.viewpoints);
+  buildControlsReference();
+  buildAuthoringList();
+  setAuthoringStatus('');
+  return true;
+}
+
+// Run an edit and apply it, or undo it if it makes an invalid manifest
+function editViewpoints(edit) {
+  const previous = createViewpointEditor(viewpointEditor.toManifest());
+  edit(viewpointEditor);
+  if (!applyEditedViewpoints()) {
+    viewpointEditor = previous; // Keep the error message on screen
+    buildAuthoringList();
+  }
+}
+
+function createAuthoringButton(text, label, onClick) {
+  const btn = document.createElement('button');
+  btn.textContent = text;
+  btn.setAttribute('aria-label', label);
+  btn.title = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function buildAuthoringList() {
+  if (!authoringListEl) return;
+  authoringListEl.replaceChildren();
+  viewpointEditor.viewpoints.forEach(({ id, name }, index) => {
+    const item = document.createElement('li');
+
+    const nameInput = document.createElement('input');
+    nameInput.value = name;
+    nameInput.setAttribute('aria-label', `Name of ${id}`);
+    nameInput.addEventListener('change', () => {
+      editViewpoints((editor) => editor.rename(id, nameInput.value));
+    });
+
+    const isFirst = index === 0;
+    const isLast = index === viewpointEditor.viewpoints.length - 1;
+    const upBtn = createAuthoringButton('↑', `Move ${name} Up`, () =>
+      editViewpoints((editor) => editor.move(id, -1)),
+    );
+    upBtn.disabled = isFirst;
+    const downBtn = createAuthoringButton('↓', `Move ${name} Down`, () =>
+      editViewpoints((editor) => editor.move(id, 1)),
+    );
+    downBtn.disabled = isLast;
+
+    item.append(
+      nameInput,
+      upBtn,
+      downBtn,
+      createAuthoringButton('▶', `Preview ${name}`, () => {
+        stopPathPlayback();
+        selectView(project.viewpointsById.get(id));
+      }),
+      createAuthoringButton('⟳', `Set ${name} to the Current View`, () =>
+        editViewpoints((editor) => editor.setPose(id, getAuthoringPose())),
+      ),
+      createAuthoringButton('✕', `Delete ${name}`, () => {
+        if (viewpointEditor.viewpoints.length === 1) {
+          setAuthoringStatus('A project needs at least one viewpoint.');
+          return;
+        }
+        editViewpoints((editor) => editor.remove(id));
+      }),
+      createAuthoringButton('+', `Add ${name} to the Tour`, () =>
+        editViewpoints((editor) => editor.addStop(id)),
+      ),
+    );
+    authoringListEl.appendChild(item);
+  });
+  buildAuthoringTour();
+}
+
+// The tour's stops, in order; a viewpoint may appear more than once
+function buildAuthoringTour() {
+  if (!authoringTourEl) return;
+  authoringTourEl.replaceChildren();
+  const { stops } = viewpointEditor;
+  stops.forEach((stop, index) => {
+    const item = document.createElement('li');
+    const name =
+      viewpointEditor.viewpoints.find(({ id }) => id === stop.view)?.name ??
+      stop.view;
+    const upBtn = createAuthoringButton('↑', `Move Stop ${index + 1} Up`, () =>
+      editViewpoints((editor) => editor.moveStop(index, -1)),
+    );
+    upBtn.disabled = index === 0;
+    const downBtn = createAuthoringButton(
+      '↓',
+      `Move Stop ${index + 1} Down`,
+      () => editViewpoints((editor) => editor.moveStop(index, 1)),
+    );
+    downBtn.disabled = index === stops.length - 1;
+    const label = document.createElement('span');
+    label.textContent = name;
+    item.append(
+      label,
+      upBtn,
+      downBtn,
+      createAuthoringButton('✕', `Remove Stop ${index + 1}`, () =>
+        editViewpoints((editor) => editor.removeStop(index)),
+      ),
+    );
+    authoringTourEl.appendChild(item);
+  });
+}
+
+function startAuthoring() {
+  viewpointEditor = createViewpointEditor(project.source);
+  debugPanel?.classList.add('authoring');
+  if (authoringEl) authoringEl.hidden = false;
+  buildAuthoringList();
+}
+
+document.getElementById('authoring-add-btn')?.addEventListener('click', () => {
+  const name = authoringNameInput?.value.trim() ?? '';
+  editViewpoints((editor) => editor.add(name, getAuthoringPose()));
+  if (authoringNameInput) authoringNameInput.value = '';
+});
+document.getElementById('authoring-tour-btn')?.addEventListener('click', () => {
+  if (tourLocations.length === 0) {
+    setAuthoringStatus('No viewpoints are in the tour.');
+    return;
+  }
+  stopGuidedTour();
+  startGuidedTour(0);
+});
+document
+  .getElementById('authoring-export-btn')
+  ?.addEventListener('click', () => {
+    if (!applyEditedViewpoints()) return;
+    const json = JSON.stringify(viewpointEditor.toManifest(), null, 2);
+    downloadBlob(
+      new Blob([json], { type: 'application/json' }),
+      'project.json',
+    );
+    setAuthoringStatus(
+      'Saved project.json. Put it next to the model to load it.',
+    );
+  });
+document
+  .getElementById('authoring-import-btn')
+  ?.addEventListener('click', () => authoringFileInput?.click());
+// Viewpoints and tour from a saved manifest, over the loaded project
+authoringFileInput?.addEventListener('change', async () => {
+  const [file] = authoringFileInput.files;
+  authoringFileInput.value = ''; // Allow importing the same file again
+  if (!file) return;
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    setAuthoringStatus('This file is not valid JSON.');
+    return;
+  }
+  if (!Array.isArray(data?.viewpoints)) {
+    setAuthoringStatus('This file has no "viewpoints" list.');
+    return;
+  }
+  const previous = viewpointEditor;
+  viewpointEditor = createViewpointEditor({
+    ...project.source,
+    viewpoints: data.viewpoints,
+    tour: data.tour,
+    start: data.start,
+  });
+  if (applyEditedViewpoints()) {
+    setAuthoringStatus(`Imported ${file.name}.`);
+  } else {
+    viewpointEditor = previous; // Keep the error message on screen
+  }
+});
+
+// --- Co-Viewing Session ---
+// Participants of a session (session.js) share their cameras through a
+// relay. A follower's camera trails the presenter's until they move on
+// their own; everyone else appears as an avatar (avatars.js).
+const sessionBtn = document.getElementById('session-btn');
+const sessionPanel = document.getElementById('session-panel');
+const sessionNameInput = document.getElementById('session-name');
+const sessionIdInput = document.getElementById('session-id');
+const sessionRelayInput = document.getElementById('session-relay');
+const sessionRoleSelect = document.getElementById('session-role');
+const sessionJoinBtn = document.getElementById('session-join-btn');
+const sessionFollowBtn = document.getElementById('session-follow-btn');
+const sessionStatusEl = document.getElementById('session-status');
+const sessionPeersEl = document.getElementById('session-peers');
+const avatars = createAvatars({ scene });
+let session = null;
+let isFollowing = false; // The camera trails the presenter's
+let sessionRole = null; // As given by the relay, which may differ from the form
+
+// ?session=name (and optionally &relay=ws://…) fills in the join form
+const sessionParams = new URLSearchParams(window.location.search);
+if (sessionIdInput) sessionIdInput.value = sessionParams.get('session') ?? '';
+if (sessionRelayInput) {
+  sessionRelayInput.value =
+    sessionParams.get('relay') ??
+    `ws://${window.location.hostname || 'localhost'}:${DEFAULT_RELAY_PORT}`;
+}
+
+function setSessionStatus(text) {
+  if (sessionStatusEl) sessionStatusEl.textContent = text;
+}
+
+// The viewpoint or tour stop a participant's camera is at, by name
+function describePlace(state) {
+  const id = state?.tourStop ?? state?.viewId;
+  return project?.viewpointsById.get(id)?.name ?? null;
+}
+
+function describeSession() {
+  if (session.status === 'connecting') return 'Connecting…';
+  if (session.status === 'reconnecting') return 'Lost the relay, reconnecting…';
+  const presenter = session.presenter;
+  if (session.id && session.presenterId === session.id) return 'Presenting.';
+  if (!presenter) return 'Waiting for a presenter…';
+  // Asked to present while someone else was
+  const note =
+    session.role === sessionRoleSelect?.value
+      ? ''
+      : `${presenter.name} is already presenting. `;
+  if (!isFollowing) {
+    return `${note}Looking around apart from ${presenter.name}.`;
+  }
+  const place = describePlace(presenter.state);
+  return `${note}Following ${presenter.name}${place ? ` at ${place}` : ''}.`;
+}
+
+function updateSessionPanel() {
+  const isJoined = session !== null;
+  sessionBtn?.classList.toggle('is-active', isJoined);
+  if (sessionJoinBtn) sessionJoinBtn.textContent = isJoined ? 'Leave' : 'Join';
+  [sessionNameInput, sessionIdInput, sessionRelayInput, sessionRoleSelect]
+    .filter(Boolean)
+    .forEach((el) => (el.disabled = isJoined));
+  if (sessionFollowBtn) {
+    sessionFollowBtn.hidden = session?.role !== 'follower';
+    sessionFollowBtn.textContent = isFollowing ? 'Break Away' : 'Rejoin';
+    sessionFollowBtn.classList.toggle('is-active', isFollowing);
+  }
+  if (isJoined) setSessionStatus(describeSession());
+
+  if (sessionPeersEl) {
+    sessionPeersEl.replaceChildren(
+      ...[...(session?.peers.values() ?? [])].map((peer) => {
+        const item = document.createElement('li');
+        const place = describePlace(peer.state);
+        item.textContent =
+          peer.name +
+          (peer.id === session.presenterId ? ' (presenting)' : '') +
+          (place ? ` · ${place}` : '');
+        return item;
+      }),
+    );
+  }
+
+  // The followed presenter's camera is our own, so they get no avatar
+  avatars.sync(
+    session?.peers ?? new Map(),
+    isFollowing ? session.presenterId : null,
+  );
+  quality.invalidate();
+}
+
+// Steer the camera towards a presenter's camera state. States arrive a few
+// times a second, so the camera keeps the direct-control pace rather than
+// the slow transition one.
+function followPresenter(state) {
+  if (!state || !project) return;
+  stopGuidedTour();
+  stopPathPlayback();
+  // Turn the short way round, however many turns either camera has made
+  const yaw =
+    cameraGroup.rotation.y +
+    THREE.MathUtils.euclideanModulo(
+      state.yaw - cameraGroup.rotation.y + Math.PI,
+      Math.PI * 2,
+    ) -
+    Math.PI;
+  setViewTarget({
+    position: new THREE.Vector3().fromArray(state.position),
+    rotation: { x: state.pitch, y: yaw },
+    mode: state.mode,
+  });
+  isTransitioning = false;
+}
+
+// Our camera for the other participants, rounded so that a camera at rest
+// stops sending
+function getSessionState() {
+  const state = getCameraState();
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    ...state,
+    position: state.position.map(round),
+    pitch: round(state.pitch),
+    yaw: round(state.yaw),
+    tourStop: tourStopLocation?.id ?? null,
+  };
+}
+
+// Any navigation of a follower's own stops following the presenter
+function breakAway() {
+  if (!isFollowing) return;
+  isFollowing = false;
+  walker?.reset();
+  updateSessionPanel();
+}
+
+function rejoin() {
+  isFollowing = true;
+  followPresenter(session.presenter?.state);
+  updateSessionPanel();
+}
+
+function joinSession() {
+  const sessionId = sessionIdInput?.value.trim();
+  if (!sessionId) {
+    setSessionStatus('Enter a session name to join.');
+    return;
+  }
+  try {
+    session = createSession({
+      url: sessionRelayInput.value.trim(),
+      sessionId,
+      name: sessionNameInput?.value.trim() || 'Guest',
+      role: sessionRoleSelect?.value ?? 'follower',
+      onChange: () => {
+        // A second presenter is made a follower (and may present again
+        // after a reconnect); follow whenever that changes
+        if (session.role !== sessionRole) {
+          sessionRole = session.role;
+          isFollowing = sessionRole === 'follower';
+        }
+        if (isFollowing) followPresenter(session.presenter?.state);
+        updateSessionPanel();
+      },
+      onState: (peer) => {
+        if (isFollowing && peer.id === session.presenterId) {
+          followPresenter(peer.state);
+        }
+        updateSessionPanel();
+      },
+    });
+  } catch {
+    setSessionStatus('The relay address is not a valid WebSocket URL.');
+    return;
+  }
+  sessionRole = session.role;
+  isFollowing = sessionRole === 'follower';
+  updateSessionPanel();
+}
+
+function leaveSession() {
+  const leaving = session;
+  session = null;
+  isFollowing = false;
+  sessionRole = null;
+  leaving.close();
+  avatars.clear();
+  setSessionStatus('');
+  updateSessionPanel();
+}
+
+sessionBtn?.addEventListener('click', () => {
+  if (!sessionPanel) return;
+  sessionPanel.hidden = !sessionPanel.hidden;
+  sessionBtn.setAttribute('aria-expanded', String(!sessionPanel.hidden));
+});
+sessionJoinBtn?.addEventListener('click', () => {
+  if (session) {
+    leaveSession();
+  } else {
+    joinSession();
+  }
+});
+sessionFollowBtn?.addEventListener('click', () => {
+  if (isFollowing) {
+    breakAway();
+  } else {
+    rejoin();
+  }
+});
+window.addEventListener('pagehide', () => session?.close());
+
+// --- Visitor Analytics ---
+// With an "analytics" section in the manifest (or ?analytics=<endpoint> for
+// testing, e.g. against scripts/analytics-stub.js) visits are recorded
+// (analytics.js). The override only takes another site's endpoint in
+// authoring mode (?author), so a shared link can't send visits elsewhere. The heatmap panel draws them over the floor plan
+// (heatmap.js), from this browser's history or from an imported log.
+const heatmapBtn = document.getElementById('heatmap-btn');
+const heatmapPanel = document.getElementById('heatmap-panel');
+const heatmapKindSelect = document.getElementById('heatmap-kind');
+const heatmapFileInput = document.getElementById('heatmap-file');
+const heatmapLocalBtn = document.getElementById('heatmap-local-btn');
+const heatmapClearBtn = document.getElementById('heatmap-clear-btn');
+const heatmapStatusEl = document.getElementById('heatmap-status');
+const heatmap = createHeatmap({ scene });
+const screenCenter = new THREE.Vector2();
+let analytics = null; // Created once the manifest has loaded, if enabled
+let importedLog = null; // Shown instead of this browser's history
+const tourStopsSeen = new Set(); // Stops reached (or headed for) this tour
+
+// The ?analytics= endpoint as a URL, null for "record locally" (an empty
+// value) or undefined when there is none, or it may not be used
+function getEndpointOverride() {
+  const value = new URLSearchParams(window.location.search).get('analytics');
+  if (value === null) return undefined;
+  if (value === '') return null;
+  let url;
+  try {
+    url = new URL(value, window.location.href);
+  } catch {
+    return undefined;
+  }
+  const isAllowed =
+    (url.protocol === 'http:' || url.protocol === 'https:') &&
+    (isAuthoring || url.origin === window.location.origin);
+  if (!isAllowed) {
+    console.warn(`Ignoring ?analytics=${value}: use ?author for other sites.`);
+    return undefined;
+  }
+  return url.href;
+}
+
+function startAnalytics() {
+  const endpoint = getEndpointOverride();
+  if (!project.analytics && endpoint === undefined) return;
+  analytics = createAnalytics({
+    project: new URL(manifestUrl, window.location.href).href,
+    ...project.analytics,
+    ...(endpoint !== undefined && { endpoint }),
+  });
+  if (heatmapBtn) heatmapBtn.hidden = false;
+}
+
+// Where the visitor stands and the surface at the centre of their view
+function readVisitorPose() {
+  cameraGroup.updateMatrixWorld();
+  raycaster.setFromCamera(screenCenter, camera);
+  const hit = raycaster
+    .intersectObject(model, true)
+    .find((hit) => !sectionTool.isClipped(hit.point));
+  return {
+    position: cameraGroup.position,
+    yaw: cameraGroup.rotation.y,
+    pitch: camera.rotation.x,
+    gaze: hit?.point ?? null,
+  };
+}
+
+function setHeatmapStatus(text) {
+  if (heatmapStatusEl) heatmapStatusEl.textContent = text;
+}
+
+function formatVisitTime(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)} s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Redraw the chosen heatmap, and show the plan it is drawn on
+function drawHeatmap() {
+  const kind = heatmapKindSelect?.value || null;
+  heatmap.setVisible(kind !== null);
+  if (heatmapLocalBtn) heatmapLocalBtn.hidden = !importedLog;
+  if (heatmapClearBtn) heatmapClearBtn.hidden = Boolean(importedLog);
+  quality.invalidate();
+  if (!kind) {
+    setHeatmapStatus('');
+    return;
+  }
+  if (!model) {
+    setHeatmapStatus('The model is still loading.');
+    return;
+  }
+  const log = importedLog ?? analytics.toJSON();
+  const { total } = heatmap.draw(
+    log.events.filter((event) => event.type === 'sample'),
+    kind,
+    new THREE.Box3().setFromObject(model),
+  );
+  const source = importedLog ? 'imported' : 'recorded in this browser';
+  setHeatmapStatus(
+    total > 0
+      ? `${formatVisitTime(total)} of visits ${source}.`
+      : `No visits ${source} yet.`,
+  );
+  if (!isInFloorPlanView) {
+    selectView(
+      project.viewpoints.find((v) => v.mode === 'floor-plan') ??
+        floorPlan.getLocation(),
+    );
+  }
+}
+
+heatmapBtn?.addEventListener('click', () => {
+  if (!heatmapPanel) return;
+  heatmapPanel.hidden = !heatmapPanel.hidden;
+  heatmapBtn.setAttribute('aria-expanded', String(!heatmapPanel.hidden));
+  if (!heatmapPanel.hidden) drawHeatmap(); // Include the latest samples
+});
+heatmapKindSelect?.addEventListener('change', drawHeatmap);
+document.getElementById('heatmap-export-btn')?.addEventListener('click', () => {
+  const kind = heatmapKindSelect?.value;
+  if (!kind) {
+    setHeatmapStatus('Choose a heatmap to export.');
+    return;
+  }
+  runCapture(
+    [
+      {
+        filename: `${getCaptureName()}-${kind}-heatmap.png`,
+        render: () => capturePlan(null, getStillSize()),
+      },
+    ],
+    setHeatmapStatus,
+  );
+});
+document.getElementById('heatmap-data-btn')?.addEventListener('click', () => {
+  const json = JSON.stringify(importedLog ?? analytics.toJSON());
+  downloadBlob(
+    new Blob([json], { type: 'application/json' }),
+    `${getCaptureName()}-analytics.json`,
+  );
+});
+document
+  .getElementById('heatmap-import-btn')
+  ?.addEventListener('click', () => heatmapFileInput?.click());
+// An exported log, or everything an endpoint received (GET /events on the
+// stub)
+heatmapFileInput?.addEventListener('change', async () => {
+  const [file] = heatmapFileInput.files;
+  heatmapFileInput.value = ''; // Allow importing the same file again
+  if (!file) return;
+  try {
+    importedLog = parseAnalyticsLog(JSON.parse(await file.text()));
+  } catch (error) {
+    setHeatmapStatus(
+      error instanceof AnalyticsError
+        ? error.message
+        : 'This file is not valid JSON.',
+    );
+    return;
+  }
+  if (heatmapKindSelect && !heatmapKindSelect.value) {
+    heatmapKindSelect.value = 'dwell';
+  }
+  drawHeatmap();
+});
+heatmapLocalBtn?.addEventListener('click', () => {
+  importedLog = null;
+  drawHeatmap();
+});
+heatmapClearBtn?.addEventListener('click', () => {
+  analytics.clearHistory();
+  drawHeatmap();
+});
+document.addEventListener('visibilitychange', () =>
+  analytics?.setVisible(!document.hidden),
+);
+window.addEventListener('pagehide', () => analytics?.end());
+
 // --- Animation Loop ---
+let animationFrameId = 0;
+const previousCameraPosition = new THREE.Vector3();
+
 function animate() {
-  requestAnimationFrame(animate);
+  animationFrameId = requestAnimationFrame(animate);
+  const delta = Math.min(clock.getDelta(), 0.1); // Clamp long frames (tab switches)
+
+  // --- Keyboard and Gamepad Movement ---
+  input.poll();
+  if (input.isActive && model) {
+    const moveSpeed = 0.05 * input.sensitivity.move;
+    const forwardAmount = input.getAxis('moveBackward', 'moveForward');
+    const rightAmount = input.getAxis('moveLeft', 'moveRight');
+    const upAmount = input.getAxis('moveDown', 'moveUp');
+
+    // Any movement instantly gives control to the user
+    isTransitioning = false;
+    stopGuidedTour();
+    stopPathPlayback();
+    breakAway();
 
-  // --- Keyboard Movement ---
-  if (keysPressed.size > 0 && model) {
-    const moveSpeed = 0.05;
-    const movementKeys = ['w', 'a', 's', 'd', 'q', 'e'];
-    const isMoving = movementKeys.some((k) => keysPressed.has(k));
+    if (isInFloorPlanView) {
+      // Panning and zooming for Floor Plan view (pan in screen pixels)
+      const panPixels = 5 * input.sensitivity.move;
+      floorPlan.pan(
+        -rightAmount * panPixels,
+        forwardAmount * panPixels,
+        renderer.domElement.clientHeight,
+      );
+      if (upAmount !== 0) {
+        floorPlan.zoomAt(new THREE.Vector2(0, 0), 1 - upAmount * moveSpeed); // Screen centre
+      }
+    } else {
+      // FPS-style movement for First-Person view
+      const forward = new THREE.Vector3();
+      camera.getWorldDirection(forward);
+      forward.y = 0; // Project onto the XZ plane
+      forward.normalize();
 
-    if (isMoving) {
-      // Any movement instantly gives control to the user
-      isTransitioning = false;
-      stopGuidedTour();
+      const right = new THREE.Vector3();
+      // Get the vector pointing to the camera's right
+      right.crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
 
-      if (isInFloorPlanView) {
-        // Panning and zooming for Floor Plan view
-        if (keysPressed.has('w')) targetPosition.x -= moveSpeed; // Pan up
-        if (keysPressed.has('s')) targetPosition.x += moveSpeed; // Pan down
-        if (keysPressed.has('a')) targetPosition.z += moveSpeed; // Pan left
-        if (keysPressed.has('d')) targetPosition.z -= moveSpeed; // Pan right
-        if (keysPressed.has('e')) targetPosition.y += moveSpeed * 2; // Zoom in
-        if (keysPressed.has('q')) targetPosition.y -= moveSpeed * 2; // Zoom out
-        targetPosition.y = Math.max(2, Math.min(20, targetPosition.y)); // Clamp
-      } else {
-        // FPS-style movement for First-Person view
-        const forward = new THREE.Vector3();
-        camera.getWorldDirection(forward);
-        forward.y = 0; // Project onto the XZ plane
-        forward.normalize();
-
-        const right = new THREE.Vector3();
-        // Get the vector pointing to the camera's right
-        right.crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
-
-        if (keysPressed.has('w'))
-          targetPosition.addScaledVector(forward, moveSpeed);
-        if (keysPressed.has('s'))
-          targetPosition.addScaledVector(forward, -moveSpeed);
-        if (keysPressed.has('a'))
-          targetPosition.addScaledVector(right, -moveSpeed);
-        if (keysPressed.has('d'))
-          targetPosition.addScaledVector(right, moveSpeed);
-        if (keysPressed.has('e')) targetPosition.y += moveSpeed;
-        if (keysPressed.has('q')) targetPosition.y -= moveSpeed;
-      }
+      targetPosition.addScaledVector(forward, forwardAmount * moveSpeed);
+      targetPosition.addScaledVector(right, rightAmount * moveSpeed);
+      // Height is only free in fly mode; walking keeps to the floor
+      if (isFlyMode) targetPosition.y += upAmount * moveSpeed;
+
+      // Arrow keys and the right stick look around
+      const lookSpeed = stickLookSpeed * input.sensitivity.look * delta;
+      turnView(
+        -input.getAxis('lookLeft', 'lookRight') * lookSpeed,
+        input.getAxis('lookDown', 'lookUp') * lookSpeed,
+      );
+    }
+  }
+
+  // --- Mouse and Touch Gestures ---
+  const gestures = input.takeGestures();
+  if (model && isInFloorPlanView) {
+    const { move, zoom, zoomPoint } = gestures;
+    // At the default move speed the floor follows the pointer
+    if (move.x || move.y) {
+      floorPlan.pan(move.x, move.y, renderer.domElement.clientHeight);
+    }
+    if (zoom) floorPlan.zoomAt(zoomPoint, zoomStepFactor ** -zoom);
+  } else if (model) {
+    const { look, zoom } = gestures;
+    if (look.x || look.y) {
+      turnView(-look.x * dragLookSpeed, -look.y * dragLookSpeed);
+    }
+    if (zoom) {
+      // Dolly on the XZ plane; collision is handled below
+      const forward = new THREE.Vector3();
+      camera.getWorldDirection(forward);
+      forward.y = 0;
+      forward.normalize();
+      targetPosition.addScaledVector(forward, zoom * zoomStepDistance);
     }
   }
 
@@ -685,19 +3062,52 @@ function animate() {
 
   // If in a transition, check if we've arrived at the destination
   if (isTransitioning) {
-    if (cameraGroup.position.distanceTo(targetPosition) < 0.01) {
+    const hasArrived = isInFloorPlanView
+      ? floorPlan.isSettled()
+      : cameraGroup.position.distanceTo(targetPosition) < 0.01;
+    if (hasArrived) {
       isTransitioning = false; // Mark transition as complete
-
-      // If a guided tour is active, wait and then move to the next point
-      if (isTourActive) {
-        if (tourTimeoutId) clearTimeout(tourTimeoutId);
-        tourTimeoutId = setTimeout(moveToNextTourLocation, 500);
-      }
     }
   }
 
+  // --- Guided Tour ---
+  if (isTourActive) updateGuidedTour(delta);
+
+  // --- Camera Path Playback ---
+  if (isPathPlaying) updatePathPlayback(delta);
+
   // --- Collision Detection and Position Update ---
-  if (model && !isTransitioning && !isInFloorPlanView) {
+  const isWalking =
+    model &&
+    !isTransitioning &&
+    !isTourActive &&
+    !isPathPlaying &&
+    !isFollowing &&
+    !isInFloorPlanView &&
+    !isFlyMode &&
+    walker?.hasCollider();
+
+  if (isWalking) {
+    // Capsule walker: resolves walls, gravity and steps in one go
+    const desiredPosition = cameraGroup.position
+      .clone()
+      .lerp(targetPosition, currentLerpFactor);
+    const unresolvedPosition = desiredPosition.clone();
+    walker.move(cameraGroup.position, desiredPosition, delta);
+
+    // Carry the wall push over to the target so the camera slides along
+    // walls instead of pressing into them; height belongs to the walker.
+    targetPosition.x += cameraGroup.position.x - unresolvedPosition.x;
+    targetPosition.z += cameraGroup.position.z - unresolvedPosition.z;
+    targetPosition.y = cameraGroup.position.y;
+  } else if (
+    model &&
+    !isTransitioning &&
+    !isTourActive &&
+    !isPathPlaying &&
+    !isFollowing &&
+    !isInFloorPlanView
+  ) {
     // Calculate the potential movement vector for this frame based on LERP
     const potentialNextPosition = cameraGroup.position
       .clone()
@@ -742,8 +3152,11 @@ function animate() {
   }
 
   // --- Perform Final Movement ---
-  // Always LERP towards the targetPosition, which may have been adjusted by the collision logic.
-  cameraGroup.position.lerp(targetPosition, currentLerpFactor);
+  // LERP towards the targetPosition, which may have been adjusted by the collision logic.
+  // The walker has already placed the camera when walking.
+  if (!isWalking) {
+    cameraGroup.position.lerp(targetPosition, currentLerpFactor);
+  }
 
   // --- Rotation Update (No collision needed) ---
   camera.rotation.x = THREE.MathUtils.lerp(
@@ -757,6 +3170,120 @@ function animate() {
     currentLerpFactor,
   );
 
+  // --- Camera Path Recording ---
+  if (pathSamples) recordPathSample(delta);
+
+  // --- Doors, Drawers and Lights ---
+  const areInteractivesMoving = interactives.update(delta);
+
+  // --- Teleport Hover Marker ---
+  // Picked at most once per frame, and only while the pointer is moving.
+  // While measuring, the measurement preview replaces the teleport ring.
+  if (teleport && pointerMoved) {
+    pointerMoved = false;
+    const canPick = isPointerOverCanvas && !isDragging;
+    const isOverHandle = sectionTool.hoverHandle(
+      canPick && !measureTool.mode ? pointer : null,
+      getActiveCamera(),
+    );
+    if (measureTool.mode) {
+      hoverTarget = null;
+      teleport.hideMarker();
+      measureTool.updatePreview(canPick ? pickSurface() : null);
+      renderer.domElement.style.cursor = 'crosshair';
+    } else if (isOverHandle) {
+      hoverTarget = null;
+      teleport.hideMarker();
+      objectHighlight.setHover(null);
+      renderer.domElement.style.cursor = sectionTool.isDragging
+        ? 'grabbing'
+        : 'grab';
+    } else if (isInspecting) {
+      hoverTarget = null;
+      teleport.hideMarker();
+      const hit = canPick ? pickSurface() : null;
+      objectHighlight.setHover(hit?.object ?? null);
+      renderer.domElement.style.cursor = hit ? 'pointer' : '';
+    } else if (canPick && pickInteractive()) {
+      hoverTarget = null;
+      teleport.hideMarker();
+      renderer.domElement.style.cursor = 'pointer';
+    } else {
+      hoverTarget = canPick ? pickAtPointer() : null;
+      if (hoverTarget) {
+        teleport.showMarker(hoverTarget);
+      } else {
+        teleport.hideMarker();
+      }
+      renderer.domElement.style.cursor = hoverTarget ? 'pointer' : '';
+    }
+  }
+
+  updateViewLink();
+
+  // --- Visitor Analytics ---
+  // The plan is an overview, not a place visitors dwell in
+  if (analytics && model && !isInFloorPlanView) {
+    analytics.update(delta, readVisitorPose);
+  }
+
+  // --- Co-Viewing Session ---
+  session?.sendState(getSessionState());
+  const areAvatarsMoving = avatars.update(delta, cameraGroup.position);
+
+  // --- Daylight Study ---
+  const isDaylightPlaying = daylight?.update(delta) ?? false;
+  if (isDaylightPlaying) updateDaylightPanel();
+
+  // --- Render On Demand ---
+  // Once the camera has reached its targets (and nothing else asked for a
+  // frame) the last frame stays on screen and the work below is skipped.
+  const hasCameraMoved =
+    cameraGroup.position.distanceToSquared(previousCameraPosition) > 1e-8;
+  previousCameraPosition.copy(cameraGroup.position);
+  const isSettled =
+    !hasCameraMoved &&
+    !isTourActive &&
+    !isPathPlaying &&
+    !isTransitioning &&
+    !isDragging &&
+    !input.isActive &&
+    !areAvatarsMoving &&
+    !areInteractivesMoving &&
+    !isDaylightPlaying &&
+    Math.abs(camera.rotation.x - targetRotation.x) < 1e-4 &&
+    Math.abs(cameraGroup.rotation.y - targetRotation.y) < 1e-4 &&
+    (!isInFloorPlanView || floorPlan.isSettled());
+  if (!quality.needsRender(isSettled)) return;
+  quality.recordFrame(delta);
+
+  // --- Floor Plan ---
+  if (floorPlan) {
+    floorPlan.setActive(isInFloorPlanView);
+    floorPlan.setMarker(
+      cameraGroup.position,
+      cameraGroup.rotation.y,
+      cameraGroup.position.y - project.eyeHeight,
+    );
+    floorPlan.update();
+  }
+
+  // --- Hotspot Markers ---
+  // Hotspots belong to the first-person view; the plan has room labels
+  if (hotspotsEl) hotspotsEl.hidden = isInFloorPlanView;
+  if (!isInFloorPlanView) {
+    cameraGroup.updateMatrixWorld(); // Project against this frame's camera
+    hotspotLayer.update(model);
+  }
+
+  // --- Section Cuts ---
+  sectionTool.setPlanView(isInFloorPlanView);
+  sectionTool.update(getActiveCamera());
+  objectHighlight.update();
+
+  // --- Measurement Labels ---
+  measureTool.update(getActiveCamera());
+
   // --- Update Debug Info ---
   if (debugPositionEl && debugRotationEl) {
     const pos = cameraGroup.position;
@@ -766,10 +3293,106 @@ function animate() {
     debugPositionEl.textContent = `x: ${pos.x.toFixed(2)}\ny: ${pos.y.toFixed(2)}\nz: ${pos.z.toFixed(2)}`;
     debugRotationEl.textContent = `x: ${rotX.toFixed(2)} (pitch)\ny: ${rotY.toFixed(2)} (yaw)`;
   }
+  if (debugModeEl) {
+    debugModeEl.textContent = isFlyMode ? 'fly (F to walk)' : 'walk (F to fly)';
+  }
+  if (debugQualityEl) {
+    debugQualityEl.textContent = `${quality.setting} (pixel ratio ${quality.pixelRatio})`;
+  }
 
   // Render scene
-  renderer.render(scene, camera);
+  if (isInFloorPlanView) {
+    floorPlan.render(renderer);
+  } else {
+    renderer.render(scene, camera);
+    minimap?.render(renderer); // Second viewport, over the first-person view
+  }
+  if (minimapEl) minimapEl.hidden = isInFloorPlanView;
 }
 
+// --- Project Loading ---
+// The manifest can be overridden per embed with ?project=path/to/project.json
+const manifestUrl =
+  new URLSearchParams(window.location.search).get('project') ??
+  './project.json';
+
+if (startBtn) startBtn.disabled = true;
+
+loadManifest(manifestUrl)
+  .then((manifest) => {
+    project = manifest;
+    embed.setAllowedOrigins(manifest.embed.allowedOrigins);
+    if (isAuthoring) startAuthoring();
+    startAnalytics();
+    startDaylight();
+    tourLocations = manifest.tour.map((stop) => stop.viewpoint);
+    tour = createTour(manifest.tour);
+    if (manifest.name) document.title = manifest.name;
+
+    buildLocationButtons(manifest.viewpoints);
+    buildControlsReference(); // Lists the viewpoint hotkeys
+    hotspotLayer.setHotspots(manifest.hotspots);
+    variants.setConfig(manifest.variants);
+    variants.setSelection(parseVariants(window.location.hash));
+    buildVariantsPanel();
+    walker = createWalker({ eyeHeight: manifest.eyeHeight });
+    floorPlan = createFloorPlan({
+      scene,
+      labelContainer: document.getElementById('plan-labels'),
+      cutHeight: manifest.floorPlan.cutHeight,
+      onSelectLabel: selectView,
+    });
+    floorPlan.setAspect(camera.aspect);
+    floorPlan.setLabels(manifest.viewpoints);
+    floorPlan.camera.layers.enable(HANDLE_LAYER);
+    floorPlan.camera.layers.enable(HEATMAP_LAYER);
+    sectionTool.setHeight(manifest.floorPlan.cutHeight);
+
+    // Orient the minimap like the first floor-plan viewpoint, if any
+    const planView = manifest.viewpoints.find((v) => v.mode === 'floor-plan');
+    if (minimapEl) {
+      minimap = createMinimap({
+        scene,
+        frame: minimapEl,
+        cutHeight: manifest.floorPlan.cutHeight,
+        yaw: planView ? planView.rotation.y : 0,
+        onSelect: (x, z) => {
+          teleportTo(teleport.pickBelow(model, x, z, floorPlan.cutHeight));
+        },
+      });
+    }
+    teleport = createTeleportController({
+      scene,
+      camera,
+      raycaster,
+      walkableNames: manifest.walkableSurfaces,
+      isClipped: sectionTool.isClipped,
+    });
+    // A view link in the URL takes the place of the manifest start view
+    if (!applyViewLink(parseViewHash(window.location.hash), true)) {
+      jumpToView(manifest.start);
+    }
+    lastViewHash = getCurrentViewHash();
+
+    setExposure(manifest.rendering.exposure);
+    setRenderMode(manifest.rendering.mode);
+    renderModes.setLightMaps(
+      manifest.rendering.lightMaps,
+      manifest.rendering.lightMapIntensity,
+    );
+
+    if (manifest.environment) loadEnvironment(manifest.environment);
+    loadProjectModels();
+  })
+  .catch((error) => {
+    console.error('An error happened while loading the project:', error);
+    embed.emit('error', { message: error.message });
+    if (loadingStatusEl) loadingStatusEl.hidden = true;
+    if (startErrorEl) {
+      startErrorEl.textContent = error.message;
+      startErrorEl.hidden = false;
+    }
+  });
+
 // Start animation
 animate();
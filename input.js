@@ -0,0 +1,476 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { readStoredJSON, writeStoredJSON } from './storage.js';
+
+// --- Input Bindings ---
+// Turns keys, gamepads, mouse and touch into abstract actions. Continuous
+// actions (move, look, zoom) have a value from 0 to 1 each frame: 1 while a
+// key is held, the deflection of an analog stick or trigger. Press actions
+// (walk/fly, next viewpoint) fire once when their key or button goes down.
+//
+// Keys are bound by KeyboardEvent.code, the physical key, so the defaults
+// sit in the same place on AZERTY or QWERTZ keyboards. Gamepads are read
+// through the Gamepad API's "standard" layout: a binding is a button index
+// or an axis index with a direction. Bindings and sensitivity are saved in
+// localStorage.
+//
+// Mouse and touch gestures (see index.js) add up between frames into the
+// same move, look and zoom groups: drags move (pan the floor plan) or look,
+// in pixels; the wheel and pinches zoom, in wheel notches. They can't be
+// rebound, but the sensitivity of their group applies to them as well.
+
+export const ACTIONS = [
+  {
+    id: 'moveForward',
+    label: 'Move forward / pan up',
+    key: 'KeyW',
+    gamepad: { axis: 1, direction: -1 },
+  },
+  {
+    id: 'moveBackward',
+    label: 'Move back / pan down',
+    key: 'KeyS',
+    gamepad: { axis: 1, direction: 1 },
+  },
+  {
+    id: 'moveLeft',
+    label: 'Move left / pan left',
+    key: 'KeyA',
+    gamepad: { axis: 0, direction: -1 },
+  },
+  {
+    id: 'moveRight',
+    label: 'Move right / pan right',
+    key: 'KeyD',
+    gamepad: { axis: 0, direction: 1 },
+  },
+  {
+    id: 'moveUp',
+    label: 'Fly up / zoom in',
+    key: 'KeyE',
+    gamepad: { button: 7 },
+  },
+  {
+    id: 'moveDown',
+    label: 'Fly down / zoom out',
+    key: 'KeyQ',
+    gamepad: { button: 6 },
+  },
+  {
+    id: 'lookLeft',
+    label: 'Look left',
+    key: 'ArrowLeft',
+    gamepad: { axis: 2, direction: -1 },
+  },
+  {
+    id: 'lookRight',
+    label: 'Look right',
+    key: 'ArrowRight',
+    gamepad: { axis: 2, direction: 1 },
+  },
+  {
+    id: 'lookUp',
+    label: 'Look up',
+    key: 'ArrowUp',
+    gamepad: { axis: 3, direction: -1 },
+  },
+  {
+    id: 'lookDown',
+    label: 'Look down',
+    key: 'ArrowDown',
+    gamepad: { axis: 3, direction: 1 },
+  },
+  {
+    id: 'toggleFly',
+    label: 'Walk / fly',
+    key: 'KeyF',
+    gamepad: { button: 3 },
+    isPress: true,
+  },
+  {
+    id: 'nextViewpoint',
+    label: 'Next viewpoint',
+    key: 'PageDown',
+    gamepad: { button: 5 },
+    isPress: true,
+  },
+  {
+    id: 'previousViewpoint',
+    label: 'Previous viewpoint',
+    key: 'PageUp',
+    gamepad: { button: 4 },
+    isPress: true,
+  },
+  {
+    id: 'toggleTour',
+    label: 'Guided tour',
+    key: 'KeyT',
+    gamepad: { button: 9 },
+    isPress: true,
+  },
+];
+
+// Multipliers of the built-in speeds
+export const SENSITIVITY_RANGE = { min: 0.25, max: 3 };
+const DEFAULT_SENSITIVITY = { move: 1, look: 1, zoom: 1 };
+
+const STORAGE_KEY = 'exiviz.input';
+const DEADZONE = 0.15; // Stick deflection ignored as drift
+const PRESS_THRESHOLD = 0.5; // Trigger travel that counts as a press
+
+const emptyGestures = () => ({
+  move: { x: 0, y: 0 },
+  look: { x: 0, y: 0 },
+  zoom: 0,
+  zoomPoint: null,
+});
+
+// Names in the standard gamepad layout (Xbox labels)
+const BUTTON_NAMES = [
+  'A',
+  'B',
+  'X',
+  'Y',
+  'LB',
+  'RB',
+  'LT',
+  'RT',
+  'Back',
+  'Start',
+  'Left stick press',
+  'Right stick press',
+  'D-pad up',
+  'D-pad down',
+  'D-pad left',
+  'D-pad right',
+  'Home',
+];
+const AXIS_NAMES = [
+  ['Left stick ←', 'Left stick →'],
+  ['Left stick ↑', 'Left stick ↓'],
+  ['Right stick ←', 'Right stick →'],
+  ['Right stick ↑', 'Right stick ↓'],
+];
+const KEY_NAMES = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Space: 'Space',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down',
+};
+
+const EDITABLE_TAGS = new Set(['INPUT', 'SELECT', 'TEXTAREA']);
+
+// Keys typed into form fields aren't commands
+export const isEditable = (target) => EDITABLE_TAGS.has(target?.tagName);
+
+const isGamepadBinding = (binding) =>
+  binding !== null &&
+  typeof binding === 'object' &&
+  (Number.isInteger(binding.button) ||
+    (Number.isInteger(binding.axis) && Math.abs(binding.direction) === 1));
+
+// Stick deflection past the deadzone, rescaled to 0..1
+function applyDeadzone(value) {
+  return Math.max(0, (value - DEADZONE) / (1 - DEADZONE));
+}
+
+// 0..1 for a gamepad binding: trigger travel, button state or stick
+// deflection in the binding's direction
+function readBinding(gamepad, binding) {
+  if (binding.button !== undefined) {
+    const button = gamepad.buttons[binding.button];
+    return button ? Math.max(button.value, button.pressed ? 1 : 0) : 0;
+  }
+  return applyDeadzone((gamepad.axes[binding.axis] ?? 0) * binding.direction);
+}
+
+// onAction(id) is called for press actions, onChange() whenever bindings,
+// sensitivity or key labels change
+export function createInputBindings({ onAction, onChange }) {
+  const defaults = () => ({
+    keys: Object.fromEntries(ACTIONS.map(({ id, key }) => [id, key])),
+    gamepad: Object.fromEntries(
+      ACTIONS.map(({ id, gamepad }) => [id, { ...gamepad }]),
+    ),
+    sensitivity: { ...DEFAULT_SENSITIVITY },
+    invertY: false,
+  });
+
+  // Saved settings over the defaults, skipping anything malformed
+  function load() {
+    const settings = defaults();
+    const saved = readStoredJSON(STORAGE_KEY);
+    ACTIONS.forEach(({ id }) => {
+      const key = saved.keys?.[id];
+      if (typeof key === 'string' || key === null) settings.keys[id] = key;
+      const gamepad = saved.gamepad?.[id];
+      if (isGamepadBinding(gamepad) || gamepad === null) {
+        settings.gamepad[id] = gamepad;
+      }
+    });
+    Object.keys(DEFAULT_SENSITIVITY).forEach((name) => {
+      const value = saved.sensitivity?.[name];
+      if (
+        typeof value === 'number' &&
+        value >= SENSITIVITY_RANGE.min &&
+        value <= SENSITIVITY_RANGE.max
+      ) {
+        settings.sensitivity[name] = value;
+      }
+    });
+    settings.invertY = saved.invertY === true;
+    return settings;
+  }
+
+  let settings = load();
+  const pressedKeys = new Set(); // KeyboardEvent.code
+  const values = new Map(); // Action id -> gamepad value this frame
+  const heldPresses = new Set(); // Press actions whose button is still down
+  let rebinding = null; // { id, device, resolve }
+  let layoutMap = null; // Key labels for the visitor's keyboard layout
+  let gestures = emptyGestures(); // Since the last takeGestures()
+
+  navigator.keyboard
+    ?.getLayoutMap?.()
+    .then((map) => {
+      layoutMap = map;
+      onChange?.();
+    })
+    .catch(() => {});
+
+  const actionForKey = (code) =>
+    ACTIONS.find(({ id }) => settings.keys[id] === code);
+
+  function save() {
+    writeStoredJSON(STORAGE_KEY, settings);
+    onChange?.();
+  }
+
+  function finishRebind(binding) {
+    const { id, device, resolve } = rebinding;
+    rebinding = null;
+    if (binding !== undefined) {
+      // One action per key or button: take it away from any other action
+      const bindings = settings[device];
+      Object.keys(bindings).forEach((other) => {
+        if (
+          binding !== null &&
+          JSON.stringify(bindings[other]) === JSON.stringify(binding)
+        ) {
+          bindings[other] = null;
+        }
+      });
+      bindings[id] = binding;
+      save();
+    }
+    resolve(binding !== undefined);
+  }
+
+  // Returns true if the key was used by a binding
+  function handleKeyDown(e) {
+    if (rebinding?.device === 'keys') {
+      e.preventDefault();
+      // Escape cancels, Backspace clears the binding
+      if (e.code === 'Escape') finishRebind(undefined);
+      else finishRebind(e.code === 'Backspace' ? null : e.code);
+      return true;
+    }
+    if (isEditable(e.target)) return false;
+
+    const action = actionForKey(e.code);
+    if (!action) return false;
+    e.preventDefault(); // Arrows and Page Up/Down would scroll
+    if (action.isPress) {
+      if (!e.repeat) onAction(action.id);
+    } else {
+      pressedKeys.add(e.code);
+    }
+    return true;
+  }
+
+  function handleKeyUp(e) {
+    pressedKeys.delete(e.code);
+  }
+
+  function releaseKeys() {
+    pressedKeys.clear();
+  }
+
+  // Bind the first button or stick pushed while rebinding
+  function captureGamepad(gamepad) {
+    const { id } = rebinding;
+    const button = gamepad.buttons.findIndex(
+      (b) => b.pressed || b.value > PRESS_THRESHOLD,
+    );
+    const axis = gamepad.axes.findIndex((value) => Math.abs(value) > 0.7);
+    if (button !== -1) {
+      finishRebind({ button });
+    } else if (axis !== -1) {
+      finishRebind({ axis, direction: Math.sign(gamepad.axes[axis]) });
+    } else {
+      return;
+    }
+    heldPresses.add(id); // Don't fire the action for the same push
+  }
+
+  // Read the first connected gamepad (called once per frame)
+  function poll() {
+    values.clear();
+    const gamepad = [...(navigator.getGamepads?.() ?? [])].find(
+      (pad) => pad?.connected,
+    );
+    if (!gamepad) {
+      heldPresses.clear();
+      return;
+    }
+    if (rebinding?.device === 'gamepad') {
+      captureGamepad(gamepad);
+      return;
+    }
+
+    ACTIONS.forEach(({ id, isPress }) => {
+      const binding = settings.gamepad[id];
+      const value = binding ? readBinding(gamepad, binding) : 0;
+      if (!isPress) {
+        if (value > 0) values.set(id, value);
+        return;
+      }
+      // Press actions fire once per push
+      if (value > PRESS_THRESHOLD) {
+        if (!heldPresses.has(id)) onAction(id);
+        heldPresses.add(id);
+      } else {
+        heldPresses.delete(id);
+      }
+    });
+  }
+
+  // 0..1 for a continuous action, from whichever device pushes it most
+  function getValue(id) {
+    const key = settings.keys[id];
+    const keyValue = key && pressedKeys.has(key) ? 1 : 0;
+    return Math.max(keyValue, values.get(id) ?? 0);
+  }
+
+  // -1..1 between two opposite actions
+  function getAxis(negative, positive) {
+    return getValue(positive) - getValue(negative);
+  }
+
+  // A mouse or touch drag by (x, y) pixels, for group 'move' or 'look'
+  function addDrag(group, x, y) {
+    gestures[group].x += x;
+    gestures[group].y += y;
+  }
+
+  // Zoom in (positive) or out by a number of wheel notches, towards a
+  // screen point (normalized device coordinates)
+  function addZoom(steps, point) {
+    gestures.zoom += steps;
+    gestures.zoomPoint = point;
+  }
+
+  // The gestures since the last call, scaled by their group's sensitivity
+  // (called once per frame)
+  function takeGestures() {
+    const { move, look, zoom, zoomPoint } = gestures;
+    const { sensitivity } = settings;
+    gestures = emptyGestures();
+    return {
+      move: { x: move.x * sensitivity.move, y: move.y * sensitivity.move },
+      look: { x: look.x * sensitivity.look, y: look.y * sensitivity.look },
+      zoom: zoom * sensitivity.zoom,
+      zoomPoint,
+    };
+  }
+
+  // Wait for the next key (device 'keys') or gamepad button or stick
+  // (device 'gamepad') and bind it to an action. Resolves to false if
+  // cancelled.
+  function rebind(id, device) {
+    cancelRebind();
+    return new Promise((resolve) => {
+      rebinding = { id, device, resolve };
+    });
+  }
+
+  function cancelRebind() {
+    if (rebinding) finishRebind(undefined);
+  }
+
+  function setSensitivity(name, value) {
+    settings.sensitivity[name] = Math.min(
+      Math.max(value, SENSITIVITY_RANGE.min),
+      SENSITIVITY_RANGE.max,
+    );
+    save();
+  }
+
+  function setInvertY(invert) {
+    settings.invertY = invert;
+    save();
+  }
+
+  function reset() {
+    cancelRebind();
+    settings = defaults();
+    save();
+  }
+
+  // Readable name of an action's binding on a device ('keys' or 'gamepad')
+  function describeBinding(id, device) {
+    const binding = settings[device][id];
+    if (!binding) return 'Unbound';
+    if (device === 'keys') {
+      return (
+        KEY_NAMES[binding] ??
+        layoutMap?.get(binding)?.toUpperCase() ??
+        binding.replace(/^(Key|Digit)/, '')
+      );
+    }
+    if (binding.button !== undefined) {
+      return BUTTON_NAMES[binding.button] ?? `Button ${binding.button}`;
+    }
+    const names = AXIS_NAMES[binding.axis];
+    return names
+      ? names[binding.direction < 0 ? 0 : 1]
+      : `Axis ${binding.axis} ${binding.direction < 0 ? '−' : '+'}`;
+  }
+
+  return {
+    handleKeyDown,
+    handleKeyUp,
+    releaseKeys,
+    poll,
+    getValue,
+    getAxis,
+    addDrag,
+    addZoom,
+    takeGestures,
+    rebind,
+    cancelRebind,
+    setSensitivity,
+    setInvertY,
+    reset,
+    describeBinding,
+    // True while any continuous action is held
+    get isActive() {
+      return pressedKeys.size > 0 || values.size > 0;
+    },
+    get isRebinding() {
+      return rebinding !== null;
+    },
+    get sensitivity() {
+      return settings.sensitivity;
+    },
+    get invertY() {
+      return settings.invertY;
+    },
+  };
+}
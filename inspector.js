@@ -0,0 +1,157 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Object Inspector ---
+// Describes picked meshes (name, hierarchy path, material and the glTF
+// "extras" that GLTFLoader copies into userData) and highlights them: a
+// translucent fill on hover and, optionally, an edge outline on the
+// selection. Highlights are separate scene objects that copy the mesh's
+// world matrix, so the model itself is never modified.
+
+const HOVER_COLOR = 0x38bdf8;
+const OUTLINE_COLOR = 0xfacc15;
+const OUTLINE_ANGLE = 30; // Degrees between faces for an edge to be drawn
+const RENDER_ORDER = 20; // Over the section tool's caps
+
+// Property entries of an object's userData, without the extensions that
+// GLTFLoader keeps there for other modules
+function getProperties(object) {
+  return Object.entries(object.userData).filter(
+    ([key]) => key !== 'gltfExtensions',
+  );
+}
+
+// Readable value for a userData entry
+export function formatProperty(value) {
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Everything the inspector shows for a mesh. Product data is often on a
+// parent node (e.g. the group of a multi-material mesh), so the extras of
+// every ancestor below root are listed too, nearest first.
+export function describeObject(mesh, root, renderModes) {
+  const path = [];
+  const properties = [];
+  for (let object = mesh; object && object !== root; object = object.parent) {
+    path.unshift(object.name || `(${object.type})`);
+    const entries = getProperties(object);
+    if (entries.length > 0) {
+      properties.push({ source: object.name || object.type, entries });
+    }
+  }
+
+  // Unlit copies come first, then the glTF materials (with any variant
+  // applied), which are the ones worth showing
+  const allMaterials = renderModes.getMaterials(mesh);
+  const materials = allMaterials.slice(allMaterials.length / 2);
+
+  return {
+    name: mesh.name || '(unnamed)',
+    path: path.join(' / '),
+    materials: materials.map((material) => ({
+      name: material.name || '(unnamed)',
+      color: material.color ? `#${material.color.getHexString()}` : null,
+    })),
+    properties,
+  };
+}
+
+export function createObjectHighlight({ scene }) {
+  const hoverMaterial = new THREE.MeshBasicMaterial({
+    color: HOVER_COLOR,
+    transparent: true,
+    opacity: 0.25,
+    depthWrite: false,
+    polygonOffset: true, // Win the depth test against the mesh itself
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -1,
+  });
+  const outlineMaterial = new THREE.LineBasicMaterial({
+    color: OUTLINE_COLOR,
+    transparent: true,
+    depthTest: false,
+  });
+
+  let hovered = null; // { source, overlay }
+  let selected = null;
+  let showOutline = true;
+  const group = new THREE.Group(); // Holds the overlays
+  scene.add(group);
+
+  function follow(overlay, source) {
+    overlay.matrixAutoUpdate = false;
+    overlay.matrix.copy(source.matrixWorld);
+    overlay.matrixWorldNeedsUpdate = true;
+    overlay.renderOrder = RENDER_ORDER;
+    overlay.raycast = () => {};
+    group.add(overlay);
+  }
+
+  function setHover(mesh) {
+    if (hovered?.source === mesh) return;
+    if (hovered) group.remove(hovered.overlay);
+    hovered = null;
+    if (!mesh) return;
+    const overlay = new THREE.Mesh(mesh.geometry, hoverMaterial);
+    follow(overlay, mesh);
+    hovered = { source: mesh, overlay };
+  }
+
+  function setSelected(mesh) {
+    if (selected?.source === mesh) return;
+    if (selected) {
+      group.remove(selected.overlay);
+      selected.overlay.geometry.dispose();
+    }
+    selected = null;
+    if (!mesh) return;
+    const overlay = new THREE.LineSegments(
+      new THREE.EdgesGeometry(mesh.geometry, OUTLINE_ANGLE),
+      outlineMaterial,
+    );
+    overlay.visible = showOutline;
+    follow(overlay, mesh);
+    selected = { source: mesh, overlay };
+  }
+
+  function setOutline(visible) {
+    showOutline = visible;
+    if (selected) selected.overlay.visible = visible;
+  }
+
+  // Hide all highlights (e.g. for image captures)
+  function setVisible(visible) {
+    group.visible = visible;
+  }
+
+  // Keep up with meshes that move (and with the section tool's cuts)
+  function update() {
+    [hovered, selected].forEach((highlight) => {
+      if (!highlight) return;
+      const { source, overlay } = highlight;
+      overlay.matrix.copy(source.matrixWorld);
+      overlay.matrixWorldNeedsUpdate = true;
+      const [material] = [source.material].flat();
+      overlay.material.clippingPlanes = material.clippingPlanes;
+    });
+  }
+
+  return {
+    setHover,
+    setSelected,
+    setOutline,
+    setVisible,
+    update,
+    get hovered() {
+      return hovered?.source ?? null;
+    },
+    get selected() {
+      return selected?.source ?? null;
+    },
+  };
+}
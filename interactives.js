@@ -0,0 +1,252 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Interactive Elements ---
+// Doors, drawers and lights that visitors can click. They come from the
+// model itself:
+//   - every glTF animation clip is a door (or a drawer, when its name
+//     starts with "drawer"), closed at the clip's start and open at its end;
+//     clicking any node the clip animates plays it forwards or back
+//   - nodes named "door_<name>" or "drawer_<name>" without a clip swing
+//     open about their local Y axis (the node's origin is the hinge) or
+//     slide out along their local Z axis. The node's glTF extras may change
+//     this: "openAngle" (degrees, negative for the other way),
+//     "openDistance" (m) and "openAxis" ("x", "y" or "z")
+//   - nodes named "switch_<group>" or "light_<group>" toggle every light
+//     and emissive material under the "light_<group>" nodes
+// Open states and switched-off groups survive model swaps (proxy -> full
+// model), by clip or node name. The collision BVH is static, so onSettled
+// is called when the last moving element stops, to rebuild it.
+
+const NAME_PATTERN = /^(door|drawer|switch|light)[_-]([a-z0-9]+)/i;
+const OPEN_DURATION = 0.8; // s, for doors and drawers without a clip
+const DOOR_ANGLE = 90; // degrees
+const DRAWER_DISTANCE = 0.35; // m
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+// The animation a door or drawer node gets when the model has none for it
+function createOpenClip(node, kind) {
+  const { openAngle, openDistance, openAxis } = node.userData;
+  const axis = AXES[openAxis] ?? (kind === 'door' ? AXES.y : AXES.z);
+  let track;
+  if (kind === 'door') {
+    const closed = node.quaternion.clone();
+    const open = closed
+      .clone()
+      .multiply(
+        new THREE.Quaternion().setFromAxisAngle(
+          axis,
+          THREE.MathUtils.degToRad(openAngle ?? DOOR_ANGLE),
+        ),
+      );
+    track = new THREE.QuaternionKeyframeTrack(
+      '.quaternion',
+      [0, OPEN_DURATION],
+      [...closed.toArray(), ...open.toArray()],
+    );
+  } else {
+    const closed = node.position.clone();
+    const open = axis
+      .clone()
+      .applyQuaternion(node.quaternion) // The local axis, in the parent
+      .multiplyScalar(openDistance ?? DRAWER_DISTANCE)
+      .add(closed);
+    track = new THREE.VectorKeyframeTrack(
+      '.position',
+      [0, OPEN_DURATION],
+      [...closed.toArray(), ...open.toArray()],
+    );
+  }
+  return new THREE.AnimationClip(node.name, OPEN_DURATION, [track]);
+}
+
+export function createInteractives({ renderModes, onSettled }) {
+  // Loaded models: { root, mixer, elements, lights }. An element is
+  // { id, kind, action } for doors and drawers or { id, kind, group } for
+  // switches; lights maps a group to its "light_" nodes.
+  const models = [];
+  const elementsByNode = new Map(); // Clickable node -> element
+  const openIds = new Set(); // Open doors and drawers, by id
+  const switchedOff = new Set(); // Light groups that are off
+  const emissiveIntensities = new WeakMap(); // Material -> authored value
+  let isMoving = false;
+
+  const parseName = (name) => {
+    const match = NAME_PATTERN.exec(name);
+    return (
+      match && {
+        prefix: match[1].toLowerCase(),
+        group: match[2].toLowerCase(),
+      }
+    );
+  };
+
+  function setUpAction(mixer, clip, root) {
+    const action = mixer.clipAction(clip, root);
+    action.setLoop(THREE.LoopOnce);
+    action.clampWhenFinished = true;
+    if (openIds.has(clip.name)) {
+      action.play();
+      action.time = clip.duration;
+      action.paused = true;
+    }
+    return action;
+  }
+
+  function addModel(gltf) {
+    const root = gltf.scene;
+    const mixer = new THREE.AnimationMixer(root);
+    const model = { root, mixer, elements: [], lights: new Map() };
+    const animated = new Set(); // Nodes driven by a clip
+
+    gltf.animations.forEach((clip) => {
+      const element = {
+        id: clip.name,
+        kind: parseName(clip.name)?.prefix === 'drawer' ? 'drawer' : 'door',
+        action: setUpAction(mixer, clip, root),
+      };
+      model.elements.push(element);
+      clip.tracks.forEach((track) => {
+        const { nodeName } = THREE.PropertyBinding.parseTrackName(track.name);
+        const node = THREE.PropertyBinding.findNode(root, nodeName);
+        // A clip moving the whole model would make all of it clickable
+        if (!node || node === root || animated.has(node)) return;
+        animated.add(node);
+        elementsByNode.set(node, element);
+      });
+    });
+
+    // Named nodes; the outermost match wins, so "door_front" may contain
+    // a "door_front_handle"
+    const visit = (node) => {
+      const name = parseName(node.name);
+      if (name && (name.prefix === 'door' || name.prefix === 'drawer')) {
+        if (!animated.has(node)) {
+          const clip = createOpenClip(node, name.prefix);
+          const element = {
+            id: node.name,
+            kind: name.prefix,
+            action: setUpAction(mixer, clip, node),
+          };
+          model.elements.push(element);
+          elementsByNode.set(node, element);
+        }
+        return;
+      }
+      if (name) {
+        const element = { id: node.name, kind: 'light', group: name.group };
+        model.elements.push(element);
+        elementsByNode.set(node, element);
+        if (name.prefix === 'light') {
+          if (!model.lights.has(name.group)) model.lights.set(name.group, []);
+          model.lights.get(name.group).push(node);
+        }
+        return;
+      }
+      node.children.forEach(visit);
+    };
+    visit(root);
+
+    models.push(model);
+    mixer.update(0); // Pose restored open elements
+    applyLights();
+  }
+
+  function removeModel(root) {
+    const index = models.findIndex((model) => model.root === root);
+    if (index === -1) return;
+    const [model] = models.splice(index, 1);
+    model.mixer.stopAllAction();
+    model.mixer.uncacheRoot(root);
+    elementsByNode.forEach((element, node) => {
+      if (model.elements.includes(element)) elementsByNode.delete(node);
+    });
+  }
+
+  // Show every light group as switched on or off. Call again after
+  // materials change (e.g. material variants).
+  function applyLights() {
+    models.forEach(({ lights }) => {
+      lights.forEach((nodes, group) => {
+        const isOn = !switchedOff.has(group);
+        nodes.forEach((node) =>
+          node.traverse((child) => {
+            if (child.isLight) child.visible = isOn;
+            if (!child.isMesh) return;
+            renderModes.getMaterials(child).forEach((material) => {
+              if (!material.emissive) return;
+              if (!emissiveIntensities.has(material)) {
+                emissiveIntensities.set(material, material.emissiveIntensity);
+              }
+              material.emissiveIntensity = isOn
+                ? emissiveIntensities.get(material)
+                : 0;
+            });
+          }),
+        );
+      });
+    });
+  }
+
+  // The element an object (e.g. a picked mesh) belongs to, or null
+  function find(object) {
+    for (let node = object; node; node = node.parent) {
+      const element = elementsByNode.get(node);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  // Open or close a door or drawer (from wherever it is now), or switch a
+  // light group
+  function toggle(element) {
+    if (element.kind === 'light') {
+      if (switchedOff.has(element.group)) {
+        switchedOff.delete(element.group);
+      } else {
+        switchedOff.add(element.group);
+      }
+      applyLights();
+      return;
+    }
+    const isOpening = !openIds.has(element.id);
+    if (isOpening) {
+      openIds.add(element.id);
+    } else {
+      openIds.delete(element.id);
+    }
+    const { action } = element;
+    action.timeScale = isOpening ? 1 : -1;
+    action.paused = false;
+    action.play();
+    isMoving = true;
+  }
+
+  // Advance the animations; true while any door or drawer moves
+  function update(delta) {
+    if (!isMoving) return false;
+    models.forEach(({ mixer }) => mixer.update(delta));
+    isMoving = models.some(({ elements }) =>
+      elements.some((element) => element.action?.isRunning()),
+    );
+    if (!isMoving) onSettled();
+    return true;
+  }
+
+  return {
+    addModel,
+    removeModel,
+    applyLights,
+    find,
+    toggle,
+    update,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Asset Loading ---
+// Loads the project's large assets through three.js loaders, tracks their
+// combined download progress and retries failed downloads with exponential
+// backoff. "Critical" assets (the model) gate the Start button; the others
+// (the HDRI) may fail without blocking the viewer.
+
+export const MAX_ATTEMPTS = 4; // The first try plus three retries
+const RETRY_DELAY = 1000; // ms before the first retry, doubled after each
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Thrown once an asset has failed all of its attempts, or at once when it
+// arrived but could not be read. isNetworkError tells a failed download
+// (offline, an HTTP error) from the latter.
+export class AssetLoadError extends Error {
+  constructor(label, url, cause, isNetworkError) {
+    super(`Couldn't load the ${label} (${url.split('/').pop()}).`);
+    this.name = 'AssetLoadError';
+    this.label = label;
+    this.url = url;
+    this.cause = cause;
+    this.isNetworkError = isNetworkError;
+  }
+}
+
+// fetch() rejects with a TypeError when the network fails, and three.js
+// adds the response to HTTP errors. A TypeError once the whole file has
+// arrived comes from parsing it instead.
+function isDownloadFailure(error, asset) {
+  if (error?.response) return true;
+  const hasArrived =
+    asset.total > 0 ? asset.loaded >= asset.total : asset.loaded > 0;
+  return error instanceof TypeError && !hasArrived;
+}
+
+// onChange(state) is called whenever progress or status changes, with
+// { progress (0..1), isCriticalReady, assets }. Each asset is
+// { label, url, critical, status, attempt, loaded, total, error } where
+// status is 'loading', 'retrying', 'done' or 'failed'.
+export function createAssetLoader({ onChange }) {
+  const assets = new Map(); // url -> asset
+
+  function getState() {
+    const list = [...assets.values()];
+    const critical = list.filter((asset) => asset.critical);
+
+    // Weigh by size when every size is known, otherwise count assets equally
+    let progress;
+    if (list.length > 0 && list.every((asset) => asset.total > 0)) {
+      const loaded = list.reduce((sum, asset) => sum + asset.loaded, 0);
+      const total = list.reduce((sum, asset) => sum + asset.total, 0);
+      progress = loaded / total;
+    } else {
+      const fractions = list.map((asset) => {
+        if (asset.status === 'done' || asset.status === 'failed') return 1;
+        return asset.total > 0 ? asset.loaded / asset.total : 0;
+      });
+      progress = fractions.length
+        ? fractions.reduce((sum, f) => sum + f, 0) / fractions.length
+        : 0;
+    }
+
+    return {
+      progress: Math.min(progress, 1),
+      isCriticalReady:
+        critical.length > 0 &&
+        critical.every((asset) => asset.status === 'done'),
+      assets: list,
+    };
+  }
+
+  const notify = () => onChange(getState());
+
+  // Load url with a three.js loader. Loading the same url again (e.g. a
+  // "Try again" after a failure) starts its attempts over.
+  async function load(loader, url, { label, critical = false }) {
+    const asset = {
+      label,
+      url,
+      critical,
+      status: 'loading',
+      attempt: 1,
+      loaded: 0,
+      total: 0,
+      error: null,
+    };
+    assets.set(url, asset);
+    notify();
+
+    for (;;) {
+      try {
+        const result = await loader.loadAsync(url, (event) => {
+          asset.loaded = event.loaded;
+          asset.total = event.lengthComputable ? event.total : 0;
+          notify();
+        });
+        asset.status = 'done';
+        asset.total = Math.max(asset.total, asset.loaded);
+        asset.loaded = asset.total;
+        notify();
+        return result;
+      } catch (error) {
+        console.warn(
+          `Attempt ${asset.attempt} to load "${url}" failed:`,
+          error,
+        );
+        // A file that arrived but can't be read won't fix itself
+        const isNetworkError = isDownloadFailure(error, asset);
+        if (!isNetworkError || asset.attempt >= MAX_ATTEMPTS) {
+          asset.status = 'failed';
+          asset.error = new AssetLoadError(label, url, error, isNetworkError);
+          notify();
+          throw asset.error;
+        }
+        asset.status = 'retrying';
+        notify();
+        await wait(RETRY_DELAY * 2 ** (asset.attempt - 1));
+        asset.attempt++;
+        asset.status = 'loading';
+        asset.loaded = 0;
+        notify();
+      }
+    }
+  }
+
+  return { load };
+}
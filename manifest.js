@@ -0,0 +1,729 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+import { RENDER_MODES } from './rendering.js';
+
+// --- Project Manifest ---
+// A project manifest describes one property: which model and HDRI to load,
+// the named viewpoints, the guided tour sequence and the keyboard hotkeys.
+// The viewer reads it on startup so a single build can serve many projects.
+
+export const VIEW_MODES = ['first-person', 'floor-plan'];
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const DEFAULT_DWELL = 3; // Seconds a guided tour pauses at each stop
+
+// Thrown when a manifest cannot be fetched or does not pass validation.
+// `errors` holds one human-readable line per problem found.
+export class ManifestError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}\n- ${errors.join('\n- ')}` : message);
+    this.name = 'ManifestError';
+    this.errors = errors;
+  }
+}
+
+const isFiniteNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value);
+
+const isNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim() !== '';
+
+// Links and endpoints must be web addresses: a "javascript:" URL in a
+// manifest (which ?project= may load from anywhere) would run on click.
+// Relative paths pass, as they resolve against the manifest URL.
+const isWebUrl = (value) => {
+  if (!isNonEmptyString(value)) return false;
+  try {
+    const { protocol } = new URL(value, 'https://manifest.invalid/');
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const isVector3 = (value) =>
+  Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+
+// Tour stops are viewpoint ids, or objects that add a dwell time (seconds),
+// a caption and "via" waypoints the camera path passes through on its way
+// to the stop (to route it around walls). Defaults to every viewpoint in
+// manifest order.
+function validateTour(list, viewpoints, viewpointsById, errors) {
+  const toStop = (viewpoint) => ({
+    viewpoint,
+    dwell: DEFAULT_DWELL,
+    caption: '',
+    via: [],
+  });
+  if (list === undefined) return viewpoints.map(toStop);
+  if (!Array.isArray(list)) {
+    errors.push('"tour" must be an array of viewpoint ids or stops.');
+    return [];
+  }
+
+  const stops = [];
+  list.forEach((entry, index) => {
+    const where = `tour[${index}]`;
+    const stop = typeof entry === 'string' ? { view: entry } : entry;
+    if (!stop || typeof stop !== 'object') {
+      errors.push(`${where} must be a viewpoint id or an object.`);
+      return;
+    }
+
+    const viewpoint = viewpointsById.get(stop.view);
+    const count = errors.length;
+    if (!viewpoint) {
+      errors.push(`${where} refers to unknown viewpoint "${stop.view}".`);
+    }
+    if (
+      stop.dwell !== undefined &&
+      (!isFiniteNumber(stop.dwell) || stop.dwell < 0)
+    ) {
+      errors.push(`${where} "dwell" must be a number of seconds (>= 0).`);
+    }
+    if (stop.caption !== undefined && typeof stop.caption !== 'string') {
+      errors.push(`${where} "caption" must be a string.`);
+    }
+    if (
+      stop.via !== undefined &&
+      (!Array.isArray(stop.via) || !stop.via.every(isVector3))
+    ) {
+      errors.push(`${where} "via" must be an array of [x, y, z] points.`);
+    }
+    if (errors.length > count) return;
+
+    stops.push({
+      ...toStop(viewpoint),
+      dwell: stop.dwell ?? DEFAULT_DWELL,
+      caption: stop.caption ?? '',
+      via: (stop.via ?? []).map((point) => new THREE.Vector3(...point)),
+    });
+  });
+  return stops;
+}
+
+// Variant sets for the configurator (see variants.js). Each option maps
+// material names to overrides: { color, map, roughness, metalness }.
+function validateVariants(list, errors) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    errors.push('"variants" must be an array when present.');
+    return [];
+  }
+
+  const setIds = new Set();
+  const sets = [];
+  list.forEach((set, index) => {
+    const where = `variants[${index}]`;
+    if (!set || typeof set !== 'object') {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    const count = errors.length;
+
+    if (!isNonEmptyString(set.id) || !ID_PATTERN.test(set.id)) {
+      errors.push(
+        `${where} "id" must start with a letter and use only letters, digits, "-" or "_".`,
+      );
+    } else if (setIds.has(set.id)) {
+      errors.push(`${where} duplicate id "${set.id}".`);
+    }
+    if (!isNonEmptyString(set.name)) {
+      errors.push(`${where} "name" must be a non-empty string.`);
+    }
+    if (!Array.isArray(set.options) || set.options.length === 0) {
+      errors.push(`${where} "options" must be a non-empty array.`);
+      return;
+    }
+
+    const optionIds = new Set();
+    set.options.forEach((option, optionIndex) => {
+      const at = `${where}.options[${optionIndex}]`;
+      if (!option || typeof option !== 'object') {
+        errors.push(`${at} must be an object.`);
+        return;
+      }
+      if (!isNonEmptyString(option.id) || !ID_PATTERN.test(option.id)) {
+        errors.push(
+          `${at} "id" must start with a letter and use only letters, digits, "-" or "_".`,
+        );
+      } else if (optionIds.has(option.id)) {
+        errors.push(`${at} duplicate id "${option.id}".`);
+      }
+      optionIds.add(option.id);
+      if (!isNonEmptyString(option.name)) {
+        errors.push(`${at} "name" must be a non-empty string.`);
+      }
+      if (!option.materials || typeof option.materials !== 'object') {
+        errors.push(`${at} "materials" must map material names to overrides.`);
+        return;
+      }
+      Object.entries(option.materials).forEach(([name, override]) => {
+        const on = `${at} material "${name}"`;
+        if (!override || typeof override !== 'object') {
+          errors.push(`${on} must be an object.`);
+          return;
+        }
+        if (
+          override.color !== undefined &&
+          !(
+            typeof override.color === 'string' && HEX_COLOR.test(override.color)
+          )
+        ) {
+          errors.push(`${on} "color" must be a hex color like "#c8a97e".`);
+        }
+        if (override.map !== undefined && !isNonEmptyString(override.map)) {
+          errors.push(`${on} "map" must be a path to an image.`);
+        }
+        ['roughness', 'metalness'].forEach((key) => {
+          const value = override[key];
+          if (
+            value !== undefined &&
+            (!isFiniteNumber(value) || value < 0 || value > 1)
+          ) {
+            errors.push(`${on} "${key}" must be a number from 0 to 1.`);
+          }
+        });
+      });
+    });
+
+    setIds.add(set.id);
+    if (errors.length > count) return;
+    sets.push({
+      id: set.id,
+      name: set.name,
+      options: set.options.map(({ id, name, materials }) => ({
+        id,
+        name,
+        materials: structuredClone(materials),
+      })),
+    });
+  });
+  return sets;
+}
+
+// Hotspots are anchored either at a fixed position or to a named glTF node
+// (optionally offset from it). Returns the valid entries, normalized.
+function validateHotspots(list, errors) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    errors.push('"hotspots" must be an array when present.');
+    return [];
+  }
+
+  const ids = new Set();
+  const hotspots = [];
+  list.forEach((entry, index) => {
+    const where = `hotspots[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+
+    const label = isNonEmptyString(entry.id)
+      ? `${where} ("${entry.id}")`
+      : where;
+    const count = errors.length;
+
+    if (!isNonEmptyString(entry.id) || !ID_PATTERN.test(entry.id)) {
+      errors.push(
+        `${label} "id" must start with a letter and use only letters, digits, "-" or "_".`,
+      );
+    } else if (ids.has(entry.id)) {
+      errors.push(`${label} "id" is used by more than one hotspot.`);
+    }
+    if (!isNonEmptyString(entry.title)) {
+      errors.push(`${label} "title" must be a non-empty string.`);
+    }
+    if (entry.text !== undefined && typeof entry.text !== 'string') {
+      errors.push(`${label} "text" must be a string when present.`);
+    }
+    if (entry.image !== undefined && !isNonEmptyString(entry.image)) {
+      errors.push(`${label} "image" must be a non-empty string when present.`);
+    }
+    if (
+      entry.link !== undefined &&
+      (!entry.link ||
+        !isWebUrl(entry.link.href) ||
+        (entry.link.label !== undefined &&
+          typeof entry.link.label !== 'string'))
+    ) {
+      errors.push(
+        `${label} "link" must be an object with an http(s) "href" and optional "label".`,
+      );
+    }
+
+    const hasPosition = entry.position !== undefined;
+    const hasNode = entry.node !== undefined;
+    if (hasPosition === hasNode) {
+      errors.push(`${label} needs exactly one of "position" or "node".`);
+    } else if (hasPosition && !isVector3(entry.position)) {
+      errors.push(
+        `${label} "position" must be an array of three numbers [x, y, z].`,
+      );
+    } else if (hasNode && !isNonEmptyString(entry.node)) {
+      errors.push(`${label} "node" must be the name of a node in the model.`);
+    }
+    if (entry.offset !== undefined && !isVector3(entry.offset)) {
+      errors.push(
+        `${label} "offset" must be an array of three numbers [x, y, z].`,
+      );
+    }
+
+    if (errors.length !== count) return;
+    ids.add(entry.id);
+    hotspots.push({
+      id: entry.id,
+      title: entry.title,
+      text: entry.text ?? '',
+      image: entry.image ?? null,
+      link: entry.link
+        ? { href: entry.link.href, label: entry.link.label ?? entry.link.href }
+        : null,
+      position: hasPosition ? new THREE.Vector3(...entry.position) : null,
+      node: hasNode ? entry.node : null,
+      offset: new THREE.Vector3(...(entry.offset ?? [0, 0, 0])),
+    });
+  });
+  return hotspots;
+}
+
+// Rendering defaults: which mode to start in, tone mapping exposure and
+// baked lightmaps keyed by material name.
+function validateRendering(rendering, errors) {
+  const result = {
+    mode: 'unlit',
+    exposure: 1,
+    lightMaps: {},
+    lightMapIntensity: 1,
+  };
+  if (rendering === undefined) return result;
+  if (!rendering || typeof rendering !== 'object' || Array.isArray(rendering)) {
+    errors.push('"rendering" must be an object when present.');
+    return result;
+  }
+
+  if (rendering.mode !== undefined) {
+    if (!RENDER_MODES.includes(rendering.mode)) {
+      errors.push(
+        `"rendering.mode" must be one of ${RENDER_MODES.map((m) => `"${m}"`).join(', ')}.`,
+      );
+    } else {
+      result.mode = rendering.mode;
+    }
+  }
+  if (rendering.exposure !== undefined) {
+    if (!isFiniteNumber(rendering.exposure) || rendering.exposure <= 0) {
+      errors.push('"rendering.exposure" must be a positive number.');
+    } else {
+      result.exposure = rendering.exposure;
+    }
+  }
+  if (rendering.lightMaps !== undefined) {
+    const lightMaps = rendering.lightMaps;
+    if (
+      !lightMaps ||
+      typeof lightMaps !== 'object' ||
+      Array.isArray(lightMaps) ||
+      !Object.values(lightMaps).every(isNonEmptyString)
+    ) {
+      errors.push(
+        '"rendering.lightMaps" must map material names to image paths.',
+      );
+    } else {
+      result.lightMaps = { ...lightMaps };
+    }
+  }
+  if (rendering.lightMapIntensity !== undefined) {
+    if (
+      !isFiniteNumber(rendering.lightMapIntensity) ||
+      rendering.lightMapIntensity < 0
+    ) {
+      errors.push('"rendering.lightMapIntensity" must be a number >= 0.');
+    } else {
+      result.lightMapIntensity = rendering.lightMapIntensity;
+    }
+  }
+  return result;
+}
+
+// Pages that may embed the viewer in an iframe and drive it (embed.js).
+// Each entry is an origin: scheme, host and port only.
+function validateEmbed(embed, errors) {
+  const result = { allowedOrigins: [] };
+  if (embed === undefined) return result;
+  const origins = embed?.allowedOrigins ?? [];
+  const isOrigin = (value) => {
+    try {
+      return new URL(value).origin === value;
+    } catch {
+      return false;
+    }
+  };
+  if (
+    !embed ||
+    typeof embed !== 'object' ||
+    !Array.isArray(origins) ||
+    !origins.every((origin) => typeof origin === 'string' && isOrigin(origin))
+  ) {
+    errors.push(
+      '"embed.allowedOrigins" must be an array of origins like "https://example.com".',
+    );
+    return result;
+  }
+  result.allowedOrigins = [...origins];
+  return result;
+}
+
+// Visitor analytics (analytics.js): off unless present. Without an
+// endpoint, events are only kept in the browser for the heatmaps.
+function validateAnalytics(analytics, errors) {
+  if (analytics === undefined) return null;
+  if (!analytics || typeof analytics !== 'object' || Array.isArray(analytics)) {
+    errors.push('"analytics" must be an object when present.');
+    return null;
+  }
+  const result = { endpoint: null, sampleInterval: 1, batchSize: 20 };
+  if (analytics.endpoint !== undefined) {
+    if (!isWebUrl(analytics.endpoint)) {
+      errors.push('"analytics.endpoint" must be an http(s) URL.');
+    } else {
+      result.endpoint = analytics.endpoint;
+    }
+  }
+  if (analytics.sampleInterval !== undefined) {
+    if (
+      !isFiniteNumber(analytics.sampleInterval) ||
+      analytics.sampleInterval <= 0
+    ) {
+      errors.push('"analytics.sampleInterval" must be a positive number.');
+    } else {
+      result.sampleInterval = analytics.sampleInterval;
+    }
+  }
+  if (analytics.batchSize !== undefined) {
+    if (!Number.isInteger(analytics.batchSize) || analytics.batchSize < 1) {
+      errors.push('"analytics.batchSize" must be a whole number >= 1.');
+    } else {
+      result.batchSize = analytics.batchSize;
+    }
+  }
+  return result;
+}
+
+// The site of the daylight study (daylight.js): off unless present.
+// utcOffset defaults to the time zone the longitude falls in.
+function validateDaylight(daylight, errors) {
+  if (daylight === undefined) return null;
+  if (!daylight || typeof daylight !== 'object' || Array.isArray(daylight)) {
+    errors.push('"daylight" must be an object when present.');
+    return null;
+  }
+  const { latitude, longitude, northOffset, utcOffset } = daylight;
+  let isValid = true;
+  if (!isFiniteNumber(latitude) || Math.abs(latitude) > 90) {
+    errors.push('"daylight.latitude" must be a number from -90 to 90.');
+    isValid = false;
+  }
+  if (!isFiniteNumber(longitude) || Math.abs(longitude) > 180) {
+    errors.push('"daylight.longitude" must be a number from -180 to 180.');
+    isValid = false;
+  }
+  if (northOffset !== undefined && !isFiniteNumber(northOffset)) {
+    errors.push('"daylight.northOffset" must be a number (degrees).');
+    isValid = false;
+  }
+  if (
+    utcOffset !== undefined &&
+    (!isFiniteNumber(utcOffset) || utcOffset < -12 || utcOffset > 14)
+  ) {
+    errors.push('"daylight.utcOffset" must be a number of hours (-12 to 14).');
+    isValid = false;
+  }
+  if (!isValid) return null;
+  return {
+    latitude,
+    longitude,
+    northOffset: northOffset ?? 0,
+    utcOffset: utcOffset ?? Math.round(longitude / 15),
+  };
+}
+
+// Checks a parsed manifest and returns a normalized copy in the shape the
+// viewer uses internally (positions as THREE.Vector3, rotation as {x, y}).
+// All problems are collected so authors can fix them in one pass.
+export function validateManifest(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ManifestError('Project manifest must be a JSON object.');
+  }
+
+  if (!isNonEmptyString(data.model)) {
+    errors.push('"model" must be a non-empty string (path to a .glb/.gltf).');
+  }
+  // Progressive loading: a low-detail proxy is shown until "model" arrives,
+  // then "rooms" (extra high-detail glTFs in the same coordinates) stream in.
+  // A room's top-level nodes replace the model's nodes of the same names.
+  if (data.proxy !== undefined && !isNonEmptyString(data.proxy)) {
+    errors.push('"proxy" must be a non-empty string (path to a .glb/.gltf).');
+  }
+  if (
+    data.rooms !== undefined &&
+    (!Array.isArray(data.rooms) || !data.rooms.every(isNonEmptyString))
+  ) {
+    errors.push('"rooms" must be an array of paths to .glb/.gltf files.');
+  }
+  if (data.environment !== undefined && !isNonEmptyString(data.environment)) {
+    errors.push('"environment" must be a non-empty string when present.');
+  }
+  if (
+    data.backgroundColor !== undefined &&
+    !(
+      typeof data.backgroundColor === 'string' &&
+      HEX_COLOR.test(data.backgroundColor)
+    )
+  ) {
+    errors.push('"backgroundColor" must be a hex color like "#2b2b2b".');
+  }
+  if (data.name !== undefined && typeof data.name !== 'string') {
+    errors.push('"name" must be a string when present.');
+  }
+  if (
+    data.eyeHeight !== undefined &&
+    (!isFiniteNumber(data.eyeHeight) || data.eyeHeight <= 0)
+  ) {
+    errors.push('"eyeHeight" must be a positive number (meters) when present.');
+  }
+  if (
+    data.walkableSurfaces !== undefined &&
+    (!Array.isArray(data.walkableSurfaces) ||
+      !data.walkableSurfaces.every(isNonEmptyString))
+  ) {
+    errors.push(
+      '"walkableSurfaces" must be an array of mesh or material names when present.',
+    );
+  }
+
+  const viewpoints = [];
+  const viewpointsById = new Map();
+  const hotkeys = new Map();
+
+  if (!Array.isArray(data.viewpoints) || data.viewpoints.length === 0) {
+    errors.push('"viewpoints" must be a non-empty array.');
+  } else {
+    data.viewpoints.forEach((entry, index) => {
+      const where = `viewpoints[${index}]`;
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`${where} must be an object.`);
+        return;
+      }
+
+      const label = isNonEmptyString(entry.id)
+        ? `${where} ("${entry.id}")`
+        : where;
+      let valid = true;
+      const fail = (message) => {
+        errors.push(`${label} ${message}`);
+        valid = false;
+      };
+
+      if (!isNonEmptyString(entry.id) || !ID_PATTERN.test(entry.id)) {
+        fail(
+          '"id" must start with a letter and use only letters, digits, "-" or "_".',
+        );
+      } else if (viewpointsById.has(entry.id)) {
+        fail('"id" is used by more than one viewpoint.');
+      }
+
+      if (!isNonEmptyString(entry.name)) {
+        fail('"name" must be a non-empty string.');
+      }
+
+      if (
+        !Array.isArray(entry.position) ||
+        entry.position.length !== 3 ||
+        !entry.position.every(isFiniteNumber)
+      ) {
+        fail('"position" must be an array of three numbers [x, y, z].');
+      }
+
+      const rotation = entry.rotation;
+      if (
+        !rotation ||
+        typeof rotation !== 'object' ||
+        !isFiniteNumber(rotation.pitch) ||
+        !isFiniteNumber(rotation.yaw)
+      ) {
+        fail(
+          '"rotation" must be an object with numeric "pitch" and "yaw" (radians).',
+        );
+      } else if (Math.abs(rotation.pitch) > Math.PI / 2) {
+        fail('"rotation.pitch" must be between -PI/2 and PI/2.');
+      }
+
+      const mode = entry.mode ?? 'first-person';
+      if (!VIEW_MODES.includes(mode)) {
+        fail(
+          `"mode" must be one of ${VIEW_MODES.map((m) => `"${m}"`).join(', ')}.`,
+        );
+      }
+
+      let hotkey = null;
+      if (entry.hotkey !== undefined) {
+        if (typeof entry.hotkey !== 'string' || entry.hotkey.length !== 1) {
+          fail('"hotkey" must be a single character.');
+        } else {
+          hotkey = entry.hotkey.toLowerCase();
+          if (hotkeys.has(hotkey)) {
+            fail(
+              `"hotkey" "${entry.hotkey}" is already bound to "${hotkeys.get(hotkey).id}".`,
+            );
+          }
+        }
+      }
+
+      if (!valid) return;
+
+      const viewpoint = {
+        id: entry.id,
+        name: entry.name,
+        mode,
+        hotkey,
+        position: new THREE.Vector3(...entry.position),
+        rotation: { x: rotation.pitch, y: rotation.yaw },
+      };
+      viewpoints.push(viewpoint);
+      viewpointsById.set(viewpoint.id, viewpoint);
+      if (hotkey) hotkeys.set(hotkey, viewpoint);
+    });
+  }
+
+  const tour = validateTour(data.tour, viewpoints, viewpointsById, errors);
+
+  const hotspots = validateHotspots(data.hotspots, errors);
+  const variants = validateVariants(data.variants, errors);
+  const rendering = validateRendering(data.rendering, errors);
+  const embed = validateEmbed(data.embed, errors);
+  const analytics = validateAnalytics(data.analytics, errors);
+  const daylight = validateDaylight(data.daylight, errors);
+  if (rendering.mode === 'daylight' && data.daylight === undefined) {
+    errors.push('"rendering.mode" "daylight" needs a "daylight" section.');
+  }
+
+  // Floor plan: geometry above cutHeight is hidden so rooms can be seen
+  const floorPlan = { cutHeight: (data.eyeHeight ?? 1) + 0.5 };
+  if (data.floorPlan !== undefined) {
+    if (
+      !data.floorPlan ||
+      typeof data.floorPlan !== 'object' ||
+      (data.floorPlan.cutHeight !== undefined &&
+        !isFiniteNumber(data.floorPlan.cutHeight))
+    ) {
+      errors.push(
+        '"floorPlan" must be an object with an optional numeric "cutHeight".',
+      );
+    } else if (data.floorPlan.cutHeight !== undefined) {
+      floorPlan.cutHeight = data.floorPlan.cutHeight;
+    }
+  }
+
+  let start = viewpoints[0];
+  if (data.start !== undefined) {
+    start = viewpointsById.get(data.start);
+    if (!start)
+      errors.push(`"start" refers to unknown viewpoint "${data.start}".`);
+  }
+
+  if (errors.length > 0) {
+    throw new ManifestError('Invalid project manifest:', errors);
+  }
+
+  return {
+    name: data.name ?? '',
+    model: data.model,
+    proxy: data.proxy ?? null,
+    rooms: data.rooms ?? [],
+    environment: data.environment ?? null,
+    // Shown instead of the HDRI when it cannot be loaded
+    backgroundColor: data.backgroundColor ?? '#2b2b2b',
+    eyeHeight: data.eyeHeight ?? 1,
+    walkableSurfaces: data.walkableSurfaces ?? [],
+    hotspots,
+    variants,
+    rendering,
+    embed,
+    analytics,
+    daylight,
+    floorPlan,
+    viewpoints,
+    viewpointsById,
+    hotkeys,
+    tour,
+    start,
+  };
+}
+
+// Fetches and validates a manifest. Relative asset paths are resolved
+// against the manifest URL so a project folder can be moved as a unit.
+export async function loadManifest(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new ManifestError(
+      `Could not fetch project manifest "${url}": ${error.message}`,
+    );
+  }
+  if (!response.ok) {
+    throw new ManifestError(
+      `Could not fetch project manifest "${url}": HTTP ${response.status}`,
+    );
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new ManifestError(
+      `Project manifest "${url}" is not valid JSON: ${error.message}`,
+    );
+  }
+
+  const manifest = validateManifest(data);
+  manifest.source = data; // As written, for the authoring mode (authoring.js)
+  const baseUrl = new URL(url, window.location.href);
+  manifest.model = new URL(manifest.model, baseUrl).href;
+  if (manifest.proxy) manifest.proxy = new URL(manifest.proxy, baseUrl).href;
+  manifest.rooms = manifest.rooms.map((path) => new URL(path, baseUrl).href);
+  if (manifest.environment) {
+    manifest.environment = new URL(manifest.environment, baseUrl).href;
+  }
+  Object.entries(manifest.rendering.lightMaps).forEach(([name, path]) => {
+    manifest.rendering.lightMaps[name] = new URL(path, baseUrl).href;
+  });
+  manifest.variants.forEach((set) =>
+    set.options.forEach((option) =>
+      Object.values(option.materials).forEach((override) => {
+        if (override.map) override.map = new URL(override.map, baseUrl).href;
+      }),
+    ),
+  );
+  manifest.hotspots.forEach((hotspot) => {
+    if (hotspot.image) hotspot.image = new URL(hotspot.image, baseUrl).href;
+    if (hotspot.link)
+      hotspot.link.href = new URL(hotspot.link.href, baseUrl).href;
+  });
+  if (manifest.analytics?.endpoint) {
+    manifest.analytics.endpoint = new URL(
+      manifest.analytics.endpoint,
+      baseUrl,
+    ).href;
+  }
+  return manifest;
+}
@@ -0,0 +1,341 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Measurement Tool ---
+// "distance": click two surface points for a dimensioned line.
+// "area":     click the corners of a floor polygon; click the first corner
+//             again (or press Enter) to close it and report the area.
+// Points can snap to the vertices and edges of the triangle that was hit.
+// Measurements are plain scene objects, so they show in every view.
+
+export const MEASURE_MODES = ['distance', 'area'];
+export const UNITS = ['m', 'ft'];
+
+const FEET_PER_METER = 3.28084;
+const VERTEX_SNAP = 0.1; // m
+const EDGE_SNAP = 0.05; // m
+const CLOSE_DISTANCE = 0.15; // m, clicking this near the first corner closes
+const COLOR = 0xfacc15;
+
+// Formats a length in meters for display
+export function formatLength(meters, unit) {
+  if (unit === 'ft') {
+    const totalInches = Math.round(meters * FEET_PER_METER * 12);
+    const feet = Math.floor(totalInches / 12);
+    return `${feet}' ${totalInches % 12}"`;
+  }
+  return `${meters.toFixed(2)} m`;
+}
+
+// Formats an area in square meters for display
+export function formatArea(squareMeters, unit) {
+  if (unit === 'ft') {
+    return `${(squareMeters * FEET_PER_METER ** 2).toFixed(1)} ft²`;
+  }
+  return `${squareMeters.toFixed(2)} m²`;
+}
+
+// Area of a polygon projected onto the floor (XZ) plane (shoelace formula)
+export function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    sum += a.x * b.z - b.x * a.z;
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Moves a raycast hit onto a nearby vertex or edge of the hit triangle
+function snapToTriangle(hit) {
+  if (!hit.face) return hit.point.clone();
+  const position = hit.object.geometry.attributes.position;
+  const matrix = hit.object.matrixWorld;
+  const corners = [hit.face.a, hit.face.b, hit.face.c].map((index) =>
+    new THREE.Vector3()
+      .fromBufferAttribute(position, index)
+      .applyMatrix4(matrix),
+  );
+
+  let best = null;
+  let bestDistance = VERTEX_SNAP;
+  corners.forEach((corner) => {
+    const distance = corner.distanceTo(hit.point);
+    if (distance < bestDistance) {
+      best = corner;
+      bestDistance = distance;
+    }
+  });
+  if (best) return best;
+
+  bestDistance = EDGE_SNAP;
+  const edge = new THREE.Line3();
+  const closest = new THREE.Vector3();
+  for (let i = 0; i < 3; i++) {
+    edge.set(corners[i], corners[(i + 1) % 3]);
+    edge.closestPointToPoint(hit.point, true, closest);
+    const distance = closest.distanceTo(hit.point);
+    if (distance < bestDistance) {
+      best = closest.clone();
+      bestDistance = distance;
+    }
+  }
+  return best ?? hit.point.clone();
+}
+
+export function createMeasureTool({ scene, labelContainer }) {
+  const group = new THREE.Group();
+  group.name = 'measurements';
+  scene.add(group);
+
+  const lineMaterial = new THREE.LineBasicMaterial({
+    color: COLOR,
+    depthTest: false,
+    transparent: true,
+  });
+  const pointMaterial = new THREE.PointsMaterial({
+    color: COLOR,
+    size: 8,
+    sizeAttenuation: false,
+    depthTest: false,
+    transparent: true,
+  });
+  const fillMaterial = new THREE.MeshBasicMaterial({
+    color: COLOR,
+    transparent: true,
+    opacity: 0.2,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  });
+
+  let mode = null; // null when the tool is off
+  let unit = 'm';
+  let snap = true;
+  const measurements = []; // { type, points, value, object, label }
+  let pending = []; // Points of the measurement in progress
+
+  // Preview of the measurement in progress (rubber band to the cursor)
+  const preview = new THREE.Line(new THREE.BufferGeometry(), lineMaterial);
+  const previewPoint = new THREE.Points(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3()]),
+    pointMaterial,
+  );
+  preview.renderOrder = previewPoint.renderOrder = 4;
+  preview.visible = previewPoint.visible = false;
+  group.add(preview, previewPoint);
+
+  const projected = new THREE.Vector3();
+
+  function createLabel() {
+    const label = document.createElement('div');
+    label.className = 'measure-label';
+    labelContainer.appendChild(label);
+    return label;
+  }
+
+  function describe(measurement) {
+    if (measurement.type === 'area') return formatArea(measurement.value, unit);
+    const [a, b] = measurement.points;
+    const rise = Math.abs(b.y - a.y);
+    const text = formatLength(measurement.value, unit);
+    // Mention the height difference when the line isn't level
+    return rise > 0.01 && rise < measurement.value - 0.01
+      ? `${text} · ↕ ${formatLength(rise, unit)}`
+      : text;
+  }
+
+  function labelAnchor(measurement) {
+    const anchor = new THREE.Vector3();
+    measurement.points.forEach((point) => anchor.add(point));
+    return anchor.divideScalar(measurement.points.length);
+  }
+
+  function addMeasurement(type, points) {
+    const object = new THREE.Group();
+    const outline = type === 'area' ? [...points, points[0]] : points;
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(outline),
+      lineMaterial,
+    );
+    const dots = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(points),
+      pointMaterial,
+    );
+    line.renderOrder = dots.renderOrder = 4;
+    object.add(line, dots);
+
+    let value;
+    if (type === 'area') {
+      value = polygonArea(points);
+      // Fill drawn flat at the height of the first corner
+      const shape = new THREE.Shape(
+        points.map((p) => new THREE.Vector2(p.x, -p.z)),
+      );
+      const fill = new THREE.Mesh(
+        new THREE.ShapeGeometry(shape).rotateX(-Math.PI / 2),
+        fillMaterial,
+      );
+      fill.position.y = points[0].y + 0.005;
+      object.add(fill);
+    } else {
+      value = points[0].distanceTo(points[1]);
+    }
+
+    group.add(object);
+    const measurement = { type, points, value, object, label: createLabel() };
+    measurement.label.textContent = describe(measurement);
+    measurements.push(measurement);
+    return measurement;
+  }
+
+  function finishArea() {
+    if (pending.length >= 3) addMeasurement('area', pending);
+    pending = [];
+    preview.visible = false;
+  }
+
+  // Add a clicked surface hit to the measurement in progress
+  function addPoint(hit) {
+    if (!mode || !hit) return;
+    let point = snap ? snapToTriangle(hit) : hit.point.clone();
+
+    if (mode === 'distance') {
+      pending.push(point);
+      if (pending.length === 2) {
+        addMeasurement('distance', pending);
+        pending = [];
+        preview.visible = false;
+      }
+      return;
+    }
+
+    // Area corners stay on the floor plane of the first corner
+    if (pending.length > 0) {
+      point.y = pending[0].y;
+      if (
+        pending.length >= 3 &&
+        point.distanceTo(pending[0]) < CLOSE_DISTANCE
+      ) {
+        finishArea();
+        return;
+      }
+    }
+    pending.push(point);
+  }
+
+  // Show where the next point would go and the line to it
+  function updatePreview(hit) {
+    if (!mode || !hit) {
+      preview.visible = previewPoint.visible = false;
+      return;
+    }
+    const point = snap ? snapToTriangle(hit) : hit.point.clone();
+    if (mode === 'area' && pending.length > 0) point.y = pending[0].y;
+
+    previewPoint.geometry.setFromPoints([point]);
+    previewPoint.visible = true;
+
+    if (pending.length > 0) {
+      preview.geometry.dispose();
+      preview.geometry = new THREE.BufferGeometry().setFromPoints([
+        ...pending,
+        point,
+      ]);
+      preview.visible = true;
+    } else {
+      preview.visible = false;
+    }
+  }
+
+  function cancelPending() {
+    pending = [];
+    preview.visible = false;
+  }
+
+  function setMode(nextMode) {
+    cancelPending();
+    mode = nextMode;
+    previewPoint.visible = false;
+  }
+
+  function setUnit(nextUnit) {
+    unit = nextUnit;
+    measurements.forEach((m) => (m.label.textContent = describe(m)));
+  }
+
+  function setSnap(enabled) {
+    snap = enabled;
+  }
+
+  function clear() {
+    cancelPending();
+    measurements.forEach((measurement) => {
+      measurement.object.traverse((child) => child.geometry?.dispose());
+      group.remove(measurement.object);
+      measurement.label.remove();
+    });
+    measurements.length = 0;
+  }
+
+  // Position labels for whichever camera is rendering
+  function update(activeCamera) {
+    const width = labelContainer.clientWidth;
+    const height = labelContainer.clientHeight;
+    measurements.forEach((measurement) => {
+      projected.copy(labelAnchor(measurement)).project(activeCamera);
+      const label = measurement.label;
+      label.hidden =
+        projected.z > 1 ||
+        Math.abs(projected.x) > 1 ||
+        Math.abs(projected.y) > 1;
+      if (label.hidden) return;
+      const x = ((projected.x + 1) / 2) * width;
+      const y = ((1 - projected.y) / 2) * height;
+      label.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+    });
+  }
+
+  // Hide lines and points (e.g. for image captures); labels are DOM and
+  // never part of a render
+  function setVisible(visible) {
+    group.visible = visible;
+  }
+
+  function toJSON() {
+    const round = (v) => Number(v.toFixed(4));
+    return {
+      unit,
+      measurements: measurements.map(({ type, points, value }) => ({
+        type,
+        points: points.map((p) => [round(p.x), round(p.y), round(p.z)]),
+        value: round(value),
+        valueUnit: type === 'area' ? 'm²' : 'm',
+        label: describe({ type, points, value }),
+      })),
+    };
+  }
+
+  return {
+    addPoint,
+    updatePreview,
+    finishArea,
+    cancelPending,
+    setMode,
+    setUnit,
+    setSnap,
+    clear,
+    update,
+    setVisible,
+    toJSON,
+    get mode() {
+      return mode;
+    },
+    get unit() {
+      return unit;
+    },
+  };
+}
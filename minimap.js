@@ -0,0 +1,87 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+import { PLAN_LAYER } from './floor-plan.js';
+
+// --- Corner Minimap ---
+// A small top-down view of the whole model, drawn into a second viewport of
+// the main renderer after the first-person view. The "you are here" marker
+// from the floor plan (PLAN_LAYER) shows position and heading. The DOM frame
+// element decides where the viewport goes and receives clicks.
+
+const CAMERA_ALTITUDE = 100;
+const PADDING = 1.1; // Extra space around the model bounds
+const MINIMAP_BACKGROUND = new THREE.Color(0x1a1a1a);
+
+export function createMinimap({ scene, frame, cutHeight, yaw = 0, onSelect }) {
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+  camera.rotation.order = 'YXZ';
+  camera.rotation.set(-Math.PI / 2, yaw, 0);
+  camera.layers.enable(PLAN_LAYER);
+
+  const cutPlane = new THREE.Plane(new THREE.Vector3(0, -1, 0), cutHeight);
+  const ndc = new THREE.Vector3();
+  let halfSize = 5; // Half the world extent shown, along the longer side
+
+  // Frame the given world bounds
+  function fitTo(box) {
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    halfSize = (Math.max(size.x, size.z) / 2) * PADDING;
+    camera.position.set(center.x, CAMERA_ALTITUDE, center.z);
+    camera.updateMatrixWorld();
+  }
+
+  function updateProjection(width, height) {
+    const aspect = width / height;
+    const halfHeight = aspect >= 1 ? halfSize : halfSize / aspect;
+    camera.top = halfHeight;
+    camera.bottom = -halfHeight;
+    camera.left = -halfHeight * aspect;
+    camera.right = halfHeight * aspect;
+    camera.updateProjectionMatrix();
+  }
+
+  // Call after the main view has been rendered
+  function render(renderer) {
+    if (frame.hidden || frame.classList.contains('collapsed')) return;
+    const rect = frame.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    updateProjection(rect.width, rect.height);
+
+    // Viewport y is measured from the bottom of the canvas
+    const canvasRect = renderer.domElement.getBoundingClientRect();
+    const x = rect.left - canvasRect.left;
+    const y = canvasRect.bottom - rect.bottom;
+
+    const background = scene.background;
+    scene.background = MINIMAP_BACKGROUND;
+    renderer.clippingPlanes = [cutPlane];
+    renderer.setScissorTest(true);
+    renderer.setScissor(x, y, rect.width, rect.height);
+    renderer.setViewport(x, y, rect.width, rect.height);
+    renderer.render(scene, camera);
+
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, canvasRect.width, canvasRect.height);
+    renderer.clippingPlanes = [];
+    scene.background = background;
+  }
+
+  frame.addEventListener('click', (e) => {
+    const rect = frame.getBoundingClientRect();
+    ndc.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1,
+      0,
+    );
+    ndc.unproject(camera);
+    onSelect(ndc.x, ndc.z);
+  });
+
+  return { fitTo, render };
+}
@@ -0,0 +1,94 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Shareable View Links ---
+// Camera views are encoded in the URL hash so a link restores the same spot:
+//   #pos=0.59,1,4.41&pitch=-0.11&yaw=-0.07   exact camera view
+//   #pos=0,11,0&pitch=-1.57&yaw=-1.57&plan=1 exact view in floor-plan mode
+//   #view=kitchen                            named manifest viewpoint
+//   #tour  or  #tour=kitchen                 start the guided tour (from a viewpoint)
+// Any of them can carry a material variant selection:
+//   #view=kitchen&variants=floor:oak,walls:sage
+
+const PRECISION = 3;
+
+const round = (value) => Number(value.toFixed(PRECISION));
+
+// Builds the hash (including the leading "#") for an exact camera view.
+export function encodeViewHash({ position, pitch, yaw, isFloorPlan }) {
+  const params = new URLSearchParams();
+  params.set('pos', [position.x, position.y, position.z].map(round).join(','));
+  params.set('pitch', String(round(pitch)));
+  params.set('yaw', String(round(yaw)));
+  if (isFloorPlan) params.set('plan', '1');
+  // URLSearchParams escapes the commas; they are safe in a fragment.
+  return `#${params.toString().replace(/%2C/g, ',')}`;
+}
+
+// Builds the hash for a named viewpoint or a tour starting at one.
+export function encodeNamedHash(viewId, { tour = false } = {}) {
+  if (tour) return viewId ? `#tour=${encodeURIComponent(viewId)}` : '#tour';
+  return `#view=${encodeURIComponent(viewId)}`;
+}
+
+// Parses a location hash. Returns null when the hash holds no usable view,
+// otherwise one of:
+//   { type: 'camera', position: [x, y, z], pitch, yaw, isFloorPlan }
+//   { type: 'view', viewId }
+//   { type: 'tour', viewId }  (viewId is null when no start is given)
+export function parseViewHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  if (params.has('tour')) {
+    return { type: 'tour', viewId: params.get('tour') || null };
+  }
+
+  if (params.get('view')) {
+    return { type: 'view', viewId: params.get('view') };
+  }
+
+  if (params.has('pos')) {
+    const position = params.get('pos').split(',').map(Number);
+    const pitch = Number(params.get('pitch') ?? 0);
+    const yaw = Number(params.get('yaw') ?? 0);
+    if (
+      position.length !== 3 ||
+      !position.every(Number.isFinite) ||
+      !Number.isFinite(pitch) ||
+      !Number.isFinite(yaw)
+    ) {
+      return null;
+    }
+    return {
+      type: 'camera',
+      position,
+      pitch: Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch)),
+      yaw,
+      isFloorPlan: params.get('plan') === '1',
+    };
+  }
+
+  return null;
+}
+
+// Adds a material variant selection ({ setId: optionId }) to a hash.
+export function appendVariants(hash, selection) {
+  const value = Object.entries(selection)
+    .map(([setId, optionId]) => `${setId}:${optionId}`)
+    .join(',');
+  if (!value) return hash;
+  return `${hash}${hash.length > 1 ? '&' : '#'}variants=${value}`;
+}
+
+// The variant selection in a hash, {} when there is none.
+export function parseVariants(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const selection = {};
+  (params.get('variants') ?? '').split(',').forEach((pair) => {
+    const [setId, optionId] = pair.split(':');
+    if (setId && optionId) selection[setId] = optionId;
+  });
+  return selection;
+}
@@ -0,0 +1,175 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { readStored, writeStored } from './storage.js';
+
+// --- Adaptive Render Quality ---
+// Keeps the frame rate up on weak devices. The pixel ratio is stepped down
+// when measured frame times are slow and back up when there is headroom,
+// within the bounds of the quality setting: "auto" may use the whole range,
+// "low" / "medium" / "high" are user overrides saved in localStorage.
+//
+// Antialiasing (MSAA) can only be chosen when the WebGL context is created,
+// so `antialias` is read once at startup: from the override, or in auto mode
+// from the level the governor settled on during the previous visit.
+//
+// It also decides when a frame needs rendering at all: while the camera
+// moves, and for a short while after any input or invalidate() call.
+
+export const QUALITY_SETTINGS = ['auto', 'low', 'medium', 'high'];
+
+const LEVELS = {
+  low: { minPixelRatio: 0.5, maxPixelRatio: 1, antialias: false },
+  medium: { minPixelRatio: 0.75, maxPixelRatio: 1.5, antialias: true },
+  high: { minPixelRatio: 1, maxPixelRatio: 2, antialias: true },
+};
+
+const AUTO_RANGE = {
+  minPixelRatio: LEVELS.low.minPixelRatio,
+  maxPixelRatio: LEVELS.high.maxPixelRatio,
+};
+
+const SETTING_KEY = 'exiviz.quality';
+const AUTO_LEVEL_KEY = 'exiviz.quality.autoLevel';
+const SAMPLE_FRAMES = 60; // Frames averaged per adjustment
+// Thresholds in display refresh intervals, so a 120 Hz screen that drops
+// to 60 fps counts as slow
+const SLOW_FRAME = 4 / 3; // Average above this steps the ratio down
+const FAST_FRAME = 12 / 11; // Average below this steps it up
+const MAX_REFRESH_INTERVAL = 1 / 60; // s, so slow frames can't pass for it
+const PIXEL_RATIO_STEP = 0.25;
+const UPGRADE_COOLDOWN = 10000; // ms after stepping down before stepping up
+const IDLE_DELAY = 500; // ms to keep rendering after the last activity
+const ACTIVITY_EVENTS = [
+  'pointermove',
+  'pointerdown',
+  'wheel',
+  'keydown',
+  'touchstart',
+  'resize',
+];
+
+export function createQualityGovernor() {
+  const savedSetting = readStored(SETTING_KEY);
+  let setting = QUALITY_SETTINGS.includes(savedSetting) ? savedSetting : 'auto';
+  const savedAutoLevel = readStored(AUTO_LEVEL_KEY);
+  let autoLevel = LEVELS[savedAutoLevel] ? savedAutoLevel : 'high';
+
+  let renderer = null;
+  let pixelRatio = 1;
+  let frameTimes = [];
+  let lastActivity = performance.now();
+  let lastDowngrade = -Infinity;
+
+  const invalidate = () => {
+    lastActivity = performance.now();
+  };
+
+  // Pixel ratio range for the current setting, capped at the device's own
+  function getBounds() {
+    const { minPixelRatio, maxPixelRatio } =
+      setting === 'auto' ? AUTO_RANGE : LEVELS[setting];
+    const max = Math.min(maxPixelRatio, window.devicePixelRatio);
+    return { min: Math.min(minPixelRatio, max), max };
+  }
+
+  function applyPixelRatio(value) {
+    const { min, max } = getBounds();
+    pixelRatio = Math.min(Math.max(value, min), max);
+    renderer.setPixelRatio(pixelRatio);
+    invalidate();
+  }
+
+  function attach(target) {
+    renderer = target;
+    applyPixelRatio(getBounds().max);
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.addEventListener(type, invalidate, { passive: true }),
+    );
+  }
+
+  function setSetting(next) {
+    if (!QUALITY_SETTINGS.includes(next)) {
+      throw new Error(`Unknown quality setting "${next}"`);
+    }
+    setting = next;
+    writeStored(SETTING_KEY, setting);
+    frameTimes = [];
+    applyPixelRatio(getBounds().max);
+  }
+
+  // In auto mode, remember roughly where this device ended up
+  function rememberAutoLevel() {
+    if (setting !== 'auto') return;
+    const level =
+      pixelRatio < LEVELS.medium.minPixelRatio
+        ? 'low'
+        : pixelRatio < LEVELS.high.maxPixelRatio
+          ? 'medium'
+          : 'high';
+    if (level === autoLevel) return;
+    autoLevel = level;
+    writeStored(AUTO_LEVEL_KEY, autoLevel);
+  }
+
+  // Call with the frame time of each rendered frame
+  function recordFrame(delta) {
+    frameTimes.push(delta);
+    if (frameTimes.length < SAMPLE_FRAMES) return;
+
+    // Frames are paced by the display, so the quickest ones (the 10th
+    // percentile, to skip jitter) show its refresh interval. Measured per
+    // sample, as the window may move to another screen.
+    const sorted = [...frameTimes].sort((a, b) => a - b);
+    const refreshInterval = Math.min(
+      sorted[Math.floor(sorted.length / 10)],
+      MAX_REFRESH_INTERVAL,
+    );
+    const average =
+      frameTimes.reduce((sum, t) => sum + t, 0) /
+      frameTimes.length /
+      refreshInterval;
+    frameTimes = [];
+    if (average > SLOW_FRAME) {
+      applyPixelRatio(pixelRatio - PIXEL_RATIO_STEP);
+      lastDowngrade = performance.now();
+      rememberAutoLevel();
+    } else if (
+      average < FAST_FRAME &&
+      pixelRatio < getBounds().max &&
+      performance.now() - lastDowngrade > UPGRADE_COOLDOWN
+    ) {
+      applyPixelRatio(pixelRatio + PIXEL_RATIO_STEP);
+      rememberAutoLevel();
+    }
+  }
+
+  // Whether this frame should be rendered. Pass false while the camera is
+  // still moving towards its targets.
+  function needsRender(isSettled) {
+    if (!isSettled || performance.now() - lastActivity < IDLE_DELAY) {
+      return true;
+    }
+    frameTimes = []; // Idle frames say nothing about render cost
+    return false;
+  }
+
+  return {
+    attach,
+    setSetting,
+    recordFrame,
+    needsRender,
+    invalidate,
+    get setting() {
+      return setting;
+    },
+    get pixelRatio() {
+      return pixelRatio;
+    },
+    get antialias() {
+      return LEVELS[setting === 'auto' ? autoLevel : setting].antialias;
+    },
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Rendering Modes ---
+// "unlit"     MeshBasicMaterial copies, no lighting (emissive colors are
+//             kept). Cheap, for weak devices.
+// "realistic" The original glTF PBR materials lit by the PMREM-filtered HDRI,
+//             with tone mapping, exposure control and baked light/AO maps.
+// "daylight"  The PBR materials lit by the sun and sky of a place and time
+//             (daylight.js), with shadows; the sky replaces the background
+//             and sets the exposure.
+
+export const RENDER_MODES = ['unlit', 'realistic', 'daylight'];
+
+// A MeshBasicMaterial copy of a PBR material, so the scene is visible
+// without any lighting
+export function createUnlitMaterial(material) {
+  const newMaterial = new THREE.MeshBasicMaterial();
+  newMaterial.name = material.name; // Keep names for walkable-surface lookup
+  // Copy essential properties from the PBR material
+  if (material.color) newMaterial.color.copy(material.color);
+  if (material.map) newMaterial.map = material.map;
+  if (material.transparent) newMaterial.transparent = material.transparent;
+  if (material.opacity) newMaterial.opacity = material.opacity;
+  // Glowing surfaces (lamps, screens) keep their emissive color, added on
+  // top. emissiveIntensity stays live, so light switches can turn it off.
+  if (material.emissive && material.emissive.getHex() !== 0) {
+    newMaterial.emissive = material.emissive.clone();
+    newMaterial.emissiveIntensity = material.emissiveIntensity;
+    newMaterial.onBeforeCompile = (shader) => addEmissive(shader, newMaterial);
+  }
+  return newMaterial;
+}
+
+// MeshBasicMaterial has no emissive term; add one before the output
+function addEmissive(shader, material) {
+  shader.uniforms.emissive = { value: material.emissive };
+  shader.uniforms.emissiveIntensity = {
+    get value() {
+      return material.emissiveIntensity;
+    },
+  };
+  shader.fragmentShader =
+    'uniform vec3 emissive;\nuniform float emissiveIntensity;\n' +
+    shader.fragmentShader.replace(
+      '#include <opaque_fragment>',
+      'outgoingLight += emissive * emissiveIntensity;\n#include <opaque_fragment>',
+    );
+}
+
+export function createRenderModes({ renderer, scene }) {
+  const pmremGenerator = new THREE.PMREMGenerator(renderer);
+  const textureLoader = new THREE.TextureLoader();
+
+  // Per mesh: { unlit, realistic } material (or material array)
+  const meshMaterials = new Map();
+  let environmentMap = null;
+  let background = null; // Shown outside the "daylight" mode
+  let daylight = { environment: null, exposure: 1 };
+  let mode = 'unlit';
+  let exposure = 1;
+  let lightMaps = new Map(); // Material name -> image URL
+  const lightMapTextures = new Map(); // "<channel> <url>" -> texture
+  let lightMapChannels = new WeakMap(); // Material -> UV set its lightmap uses
+  let lightMapIntensity = 1;
+
+  // Record both material sets for a mesh. The mesh's current material is
+  // taken as the realistic (PBR) one.
+  function registerMesh(mesh, unlitMaterial) {
+    meshMaterials.set(mesh, { unlit: unlitMaterial, realistic: mesh.material });
+    applyLightMaps(mesh);
+    mesh.material = meshMaterials.get(mesh)[materialSet()];
+  }
+
+  // Swap the realistic material of a single-material mesh (e.g. for a
+  // material variant), with a fresh unlit copy
+  function setMeshMaterial(mesh, material) {
+    meshMaterials.get(mesh).unlit.dispose();
+    mesh.material = material;
+    registerMesh(mesh, createUnlitMaterial(material));
+  }
+
+  // Both material sets of a mesh, as one flat list
+  function getMaterials(mesh) {
+    const { unlit, realistic } = meshMaterials.get(mesh);
+    return [unlit, realistic].flat();
+  }
+
+  // Forget a mesh that is leaving the scene. Returns its materials so the
+  // caller can dispose of them.
+  function unregisterMesh(mesh) {
+    const materials = meshMaterials.get(mesh);
+    meshMaterials.delete(mesh);
+    return materials;
+  }
+
+  function setEnvironment(equirectTexture) {
+    environmentMap?.dispose();
+    environmentMap =
+      pmremGenerator.fromEquirectangular(equirectTexture).texture;
+    apply();
+  }
+
+  // The scene background (the HDRI, or a color), kept while the daylight sky
+  // replaces it
+  function setBackground(value) {
+    background = value;
+    if (mode !== 'daylight') scene.background = background;
+  }
+
+  // The sky of the "daylight" mode, as a PMREM texture, and the exposure
+  // that goes with it
+  function setDaylight(environment, exposure) {
+    daylight = { environment, exposure };
+    if (mode !== 'daylight') return;
+    scene.environment = scene.background = environment;
+    renderer.toneMappingExposure = exposure;
+  }
+
+  // Baked lightmaps are matched to realistic materials by material name.
+  // They use the second UV set (glTF TEXCOORD_1) when every mesh with the
+  // material has one, the first otherwise.
+  function setLightMaps(urlsByMaterialName, intensity = 1) {
+    lightMapIntensity = intensity;
+    lightMaps = new Map(Object.entries(urlsByMaterialName));
+    lightMapChannels = new WeakMap();
+    meshMaterials.forEach((_, mesh) => applyLightMaps(mesh));
+  }
+
+  // One texture per UV set, since the channel is a texture setting
+  function getLightMap(url, channel) {
+    const key = `${channel} ${url}`;
+    if (!lightMapTextures.has(key)) {
+      const texture = textureLoader.load(url, undefined, undefined, (error) =>
+        console.error(
+          `An error happened while loading lightmap "${url}":`,
+          error,
+        ),
+      );
+      texture.flipY = false; // glTF UV convention
+      texture.colorSpace = THREE.SRGBColorSpace;
+      texture.channel = channel;
+      lightMapTextures.set(key, texture);
+    }
+    return lightMapTextures.get(key);
+  }
+
+  function applyLightMaps(mesh) {
+    if (lightMaps.size === 0) return;
+    const { realistic } = meshMaterials.get(mesh);
+    const meshChannel = mesh.geometry.hasAttribute('uv1') ? 1 : 0;
+    [realistic].flat().forEach((material) => {
+      const url = lightMaps.get(material.name);
+      if (!url) return;
+      // A mesh without the second UV set moves its material to the first
+      const channel = Math.min(
+        meshChannel,
+        lightMapChannels.get(material) ?? 1,
+      );
+      lightMapChannels.set(material, channel);
+      material.lightMap = getLightMap(url, channel);
+      material.lightMapIntensity = lightMapIntensity;
+      material.needsUpdate = true;
+    });
+  }
+
+  // The daylight mode uses the realistic materials
+  const materialSet = () => (mode === 'unlit' ? 'unlit' : 'realistic');
+
+  function apply() {
+    const isDaylight = mode === 'daylight';
+    const lighting = {
+      unlit: { environment: null, exposure: 1 },
+      realistic: { environment: environmentMap, exposure },
+      daylight,
+    }[mode];
+    scene.environment = lighting.environment;
+    scene.background = isDaylight ? daylight.environment : background;
+    renderer.toneMapping =
+      mode === 'unlit' ? THREE.NoToneMapping : THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = lighting.exposure;
+    renderer.shadowMap.enabled = isDaylight; // Only the sun casts shadows
+    meshMaterials.forEach((materials, mesh) => {
+      mesh.material = materials[materialSet()];
+    });
+  }
+
+  function setMode(nextMode) {
+    if (!RENDER_MODES.includes(nextMode)) {
+      throw new Error(`Unknown render mode "${nextMode}"`);
+    }
+    mode = nextMode;
+    apply();
+  }
+
+  function setExposure(value) {
+    exposure = value;
+    if (mode === 'realistic') renderer.toneMappingExposure = exposure;
+  }
+
+  return {
+    registerMesh,
+    setMeshMaterial,
+    getMaterials,
+    unregisterMesh,
+    setEnvironment,
+    setBackground,
+    setDaylight,
+    setLightMaps,
+    setMode,
+    setExposure,
+    get mode() {
+      return mode;
+    },
+    get exposure() {
+      return exposure;
+    },
+  };
+}
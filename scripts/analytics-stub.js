@@ -0,0 +1,101 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// A stand-in analytics endpoint (analytics.js) for testing without a
+// backend: `npm run analytics-stub`, then open the viewer with
+// ?author&analytics=http://localhost:8788/events (or point the manifest's
+// "analytics.endpoint" at it). Batches are checked like the viewer checks
+// logs and appended to analytics-events.ndjson, one batch per line.
+// GET /events returns every event received as one analytics log, which the
+// heatmap panel can import.
+
+import { appendFile, readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import {
+  ANALYTICS_FORMAT,
+  ANALYTICS_VERSION,
+  parseAnalyticsLog,
+} from '../analytics.js';
+
+const PORT = Number(process.env.ANALYTICS_PORT ?? 8788);
+const FILE = process.env.ANALYTICS_FILE ?? 'analytics-events.ndjson';
+const MAX_BODY = 1024 * 1024; // Bytes; a batch is far smaller
+
+// The viewer is served from another port, so allow any origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function reply(response, status, body = '', type = 'text/plain') {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': type });
+  response.end(body);
+}
+
+async function readBody(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > MAX_BODY) throw new Error('Batch too large');
+  }
+  return body;
+}
+
+async function readBatches() {
+  let text;
+  try {
+    text = await readFile(FILE, 'utf8');
+  } catch {
+    return []; // Nothing received yet
+  }
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, 'http://stub');
+  if (pathname !== '/events') {
+    reply(response, 404, 'Not found\n');
+    return;
+  }
+  try {
+    if (request.method === 'OPTIONS') {
+      reply(response, 204);
+    } else if (request.method === 'POST') {
+      const batch = parseAnalyticsLog(JSON.parse(await readBody(request)), {
+        requireSession: true,
+      });
+      await appendFile(FILE, `${JSON.stringify(batch)}\n`);
+      console.log(
+        `${batch.events.length} events from session ${batch.session.slice(0, 8)}`,
+      );
+      reply(response, 204);
+    } else if (request.method === 'GET') {
+      const batches = await readBatches();
+      const log = {
+        format: ANALYTICS_FORMAT,
+        version: ANALYTICS_VERSION,
+        project: batches.at(-1)?.project ?? null,
+        events: batches.flatMap((batch) =>
+          batch.events.map((event) => ({ ...event, session: batch.session })),
+        ),
+      };
+      reply(response, 200, JSON.stringify(log), 'application/json');
+    } else {
+      reply(response, 405, 'Method not allowed\n');
+    }
+  } catch (error) {
+    console.warn(`Rejected a request: ${error.message}`);
+    reply(response, 400, `${error.message}\n`);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Analytics stub listening on http://localhost:${PORT}/events`);
+  console.log(`Writing batches to ${FILE}`);
+});
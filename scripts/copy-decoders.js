@@ -0,0 +1,34 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Copies the Draco and Basis (KTX2) decoders out of the three package into
+// public/decoders, where Vite serves them as static files. Runs before
+// `dev` and `build` (see package.json); the output is not committed.
+
+import { cpSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const libs = new URL(
+  '../node_modules/three/examples/jsm/libs/',
+  import.meta.url,
+);
+const target = new URL('../public/decoders/', import.meta.url);
+
+const decoders = {
+  draco: 'draco/gltf/', // The glTF-only build is smaller
+  basis: 'basis/',
+};
+
+Object.entries(decoders).forEach(([name, source]) => {
+  cpSync(
+    fileURLToPath(new URL(source, libs)),
+    fileURLToPath(new URL(`${name}/`, target)),
+    {
+      recursive: true,
+      // Only the decoders are needed at runtime
+      filter: (path) => !/encoder|README/.test(path),
+    },
+  );
+});
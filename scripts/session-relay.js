@@ -0,0 +1,203 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// A small WebSocket relay for co-viewing sessions (session.js), for local
+// testing: `npm run session-relay`, then join with ws://localhost:8787.
+// Everyone connected with the same ?session= id is in one session. The
+// relay only forwards: it assigns peer ids, remembers each peer's latest
+// camera state for late joiners and tracks who is presenting. There is one
+// presenter at a time: anyone else who asks to present joins as a follower.
+//
+// Uses only Node's built-in modules, so it implements the small part of the
+// WebSocket protocol (RFC 6455) it needs: unfragmented text frames, close
+// and ping.
+
+import { createHash, randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.SESSION_PORT ?? 8787);
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 64 * 1024; // Bytes; camera states are far smaller
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+const sessions = new Map(); // Session id -> { peers: Map, presenterId }
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// The first complete frame in buffer: { opcode, payload, size } or null if
+// more bytes are needed
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const isMasked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE) throw new Error('Message too large');
+  const maskOffset = offset;
+  if (isMasked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (isMasked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  return { opcode, payload, size: offset + length };
+}
+
+function send(peer, message) {
+  if (peer.socket.writable) {
+    peer.socket.write(
+      encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))),
+    );
+  }
+}
+
+function broadcast(session, message, except = null) {
+  session.peers.forEach((peer) => {
+    if (peer !== except) send(peer, message);
+  });
+}
+
+const describePeer = ({ id, name, role, state }) => ({ id, name, role, state });
+
+function handleMessage(session, peer, message) {
+  switch (message.type) {
+    case 'hello':
+      peer.name = String(message.name ?? '').slice(0, 40) || 'Guest';
+      peer.role =
+        message.role === 'presenter' &&
+        (session.presenterId === null || session.presenterId === peer.id)
+          ? 'presenter'
+          : 'follower';
+      if (peer.role === 'presenter') session.presenterId = peer.id;
+      send(peer, {
+        type: 'welcome',
+        id: peer.id,
+        role: peer.role,
+        presenterId: session.presenterId,
+        peers: [...session.peers.values()]
+          .filter((other) => other !== peer && other.name)
+          .map(describePeer),
+      });
+      broadcast(session, { type: 'join', peer: describePeer(peer) }, peer);
+      if (peer.role === 'presenter') {
+        broadcast(session, { type: 'presenter', id: peer.id }, peer);
+      }
+      break;
+    case 'state':
+      peer.state = message.state;
+      broadcast(
+        session,
+        { type: 'state', id: peer.id, state: peer.state },
+        peer,
+      );
+      break;
+  }
+}
+
+function leave(session, sessionId, peer) {
+  if (!session.peers.delete(peer.id)) return;
+  broadcast(session, { type: 'leave', id: peer.id });
+  if (session.presenterId === peer.id) {
+    session.presenterId = null;
+    broadcast(session, { type: 'presenter', id: null });
+  }
+  if (session.peers.size === 0) sessions.delete(sessionId);
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(200, { 'Content-Type': 'text/plain' });
+  response.end('exiviz session relay\n');
+});
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1')
+    .update(key + HANDSHAKE_GUID)
+    .digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  );
+
+  const url = new URL(request.url, 'http://relay');
+  const sessionId = url.searchParams.get('session') || 'default';
+  if (!sessions.has(sessionId)) {
+    sessions.set(sessionId, { peers: new Map(), presenterId: null });
+  }
+  const session = sessions.get(sessionId);
+  const peer = { id: randomUUID(), socket, name: '', role: '', state: null };
+  session.peers.set(peer.id, peer);
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      for (
+        let frame = decodeFrame(buffer);
+        frame;
+        frame = decodeFrame(buffer)
+      ) {
+        buffer = buffer.subarray(frame.size);
+        if (frame.opcode === OPCODE_TEXT) {
+          handleMessage(session, peer, JSON.parse(frame.payload.toString()));
+        } else if (frame.opcode === OPCODE_PING) {
+          socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+        } else if (frame.opcode === OPCODE_CLOSE) {
+          socket.end(encodeFrame(OPCODE_CLOSE));
+          leave(session, sessionId, peer);
+          return;
+        }
+      }
+    } catch (error) {
+      console.warn(`Dropping peer ${peer.id}: ${error.message}`);
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => leave(session, sessionId, peer));
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+  console.log(`Session relay listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,445 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Section Tool ---
+// Cutaway views with a horizontal and a vertical clipping plane. The planes
+// are set on every model material (both render modes), so overlays such as
+// measurements and markers are never cut. The floor plan always uses the
+// horizontal plane in place of a fixed ceiling cut.
+//
+// Cut faces are capped with the stencil technique from the three.js
+// "clipping stencil" example: per plane, the back faces of the solid meshes
+// increment the stencil and the front faces decrement it, so a non-zero
+// value marks pixels where the view looks into a solid through the cut. A
+// cap quad on the plane fills those pixels. This needs closed meshes; flat
+// surfaces such as floors and ceilings have no inside and are left out.
+//
+// Each plane has a double-arrow handle, drawn over the model on
+// HANDLE_LAYER, that drags it along its normal.
+
+export const HANDLE_LAYER = 2; // Cameras that show the handles enable this
+export const SECTION_AXES = ['x', 'z']; // Normal of the vertical cut
+
+const CAP_COLOR = 0x5a5a5a;
+const HANDLE_COLOR = 0x38bdf8;
+const HANDLE_HOVER_COLOR = 0xfacc15;
+const HANDLE_SIZE = 0.04; // Of the distance to the camera
+const PLAN_HANDLE_SIZE = 0.01; // Of the visible height of the plan
+const HANDLE_FOCUS_DISTANCE = 2; // m ahead of the camera the handles sit
+const FLAT_SIZE = 0.001; // m, thinner than this a mesh is a flat surface
+const RENDER_ORDER = 10; // Stencil passes and caps draw after the model
+
+const AXIS_VECTORS = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+// A double arrow along +-Y, always drawn on top
+function createHandle() {
+  const material = new THREE.MeshBasicMaterial({
+    color: HANDLE_COLOR,
+    depthTest: false,
+    depthWrite: false,
+    transparent: true,
+  });
+  const cone = new THREE.ConeGeometry(0.45, 0.9, 16);
+  const up = new THREE.Mesh(cone, material);
+  up.position.y = 0.9;
+  const down = new THREE.Mesh(cone, material);
+  down.position.y = -0.9;
+  down.rotation.x = Math.PI;
+  const knob = new THREE.Mesh(new THREE.SphereGeometry(0.35, 16, 8), material);
+
+  const handle = new THREE.Group();
+  handle.add(up, down, knob);
+  handle.traverse((object) => {
+    object.layers.set(HANDLE_LAYER);
+    object.renderOrder = RENDER_ORDER + 10;
+  });
+  handle.visible = false;
+  return handle;
+}
+
+// Stencil-only material counting faces on one side of a plane
+function createStencilMaterial(plane, side, op) {
+  return new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: [plane],
+    colorWrite: false,
+    depthWrite: false,
+    depthTest: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: op,
+    stencilZFail: op,
+    stencilZPass: op,
+  });
+}
+
+// One clipping plane with its stencil passes, cap and handle. axis is the
+// world axis it moves along; the side below `value` is kept unless flipped.
+function createCut(scene, axis, renderOrder) {
+  const plane = new THREE.Plane();
+  const backMaterial = createStencilMaterial(
+    plane,
+    THREE.BackSide,
+    THREE.IncrementWrapStencilOp,
+  );
+  const frontMaterial = createStencilMaterial(
+    plane,
+    THREE.FrontSide,
+    THREE.DecrementWrapStencilOp,
+  );
+  const stencilGroup = new THREE.Group();
+  stencilGroup.visible = false;
+
+  const cap = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({
+      color: CAP_COLOR,
+      side: THREE.DoubleSide,
+      stencilWrite: true,
+      stencilRef: 0,
+      stencilFunc: THREE.NotEqualStencilFunc,
+      stencilFail: THREE.ReplaceStencilOp,
+      stencilZFail: THREE.ReplaceStencilOp,
+      stencilZPass: THREE.ReplaceStencilOp,
+    }),
+  );
+  cap.renderOrder = renderOrder + 1;
+  // Leave a clean stencil buffer for the next plane
+  cap.onAfterRender = (renderer) => renderer.clearStencil();
+  cap.raycast = () => {};
+  cap.visible = false;
+
+  const handle = createHandle();
+  scene.add(stencilGroup, cap, handle);
+
+  return {
+    axis,
+    plane,
+    stencilGroup,
+    cap,
+    handle,
+    value: 0,
+    isFlipped: false,
+    isActive: false,
+    range: { min: -Infinity, max: Infinity }, // Until there is a model
+
+    // Rebuild the stencil passes for the solid meshes of a model
+    setMeshes(meshes) {
+      stencilGroup.clear();
+      meshes.forEach((source) => {
+        [backMaterial, frontMaterial].forEach((material) => {
+          const mesh = new THREE.Mesh(source.geometry, material);
+          mesh.matrixAutoUpdate = false; // Follows the source, see update()
+          mesh.renderOrder = renderOrder;
+          mesh.raycast = () => {};
+          mesh.userData.source = source;
+          stencilGroup.add(mesh);
+        });
+      });
+    },
+
+    updatePlane() {
+      const normal = AXIS_VECTORS[this.axis];
+      const sign = this.isFlipped ? 1 : -1;
+      plane.normal.copy(normal).multiplyScalar(sign);
+      plane.constant = -sign * this.value;
+    },
+
+    setActive(active) {
+      this.isActive = active;
+      stencilGroup.visible = active;
+      cap.visible = active;
+      handle.visible = active;
+    },
+  };
+}
+
+// onChange() is called when a drag moves a plane or the plan view toggles
+// the horizontal cut
+export function createSectionTool({ renderer, scene, renderModes, onChange }) {
+  renderer.localClippingEnabled = true;
+
+  const horizontal = createCut(scene, 'y', RENDER_ORDER);
+  const vertical = createCut(scene, 'x', RENDER_ORDER + 2);
+  const cuts = [horizontal, vertical];
+  const enabled = { horizontal: false, vertical: false };
+  let isPlanView = false;
+
+  // Shared by every model material; changed in place
+  const activePlanes = [];
+
+  let model = null;
+  let hasBounds = false;
+  const bounds = new THREE.Box3();
+  const boundsCenter = new THREE.Vector3();
+  const boundsSize = new THREE.Vector3();
+
+  const handleRaycaster = new THREE.Raycaster();
+  handleRaycaster.layers.set(HANDLE_LAYER);
+  const focus = new THREE.Vector3();
+  const cameraPosition = new THREE.Vector3();
+  const forward = new THREE.Vector3();
+  const meshSize = new THREE.Vector3();
+  const meshBounds = new THREE.Box3();
+  let hovered = null;
+  let dragging = null; // { cut, startParameter, startValue, origin }
+
+  // Put the current planes on every model material (and the caps, which
+  // are cut by the other plane)
+  function applyPlanes() {
+    activePlanes.length = 0;
+    cuts.forEach((cut) => {
+      if (cut.isActive) activePlanes.push(cut.plane);
+    });
+    cuts.forEach((cut) => {
+      cut.cap.material.clippingPlanes = activePlanes.filter(
+        (plane) => plane !== cut.plane,
+      );
+      cut.cap.material.needsUpdate = true;
+    });
+    model?.traverse((child) => {
+      if (!(child instanceof THREE.Mesh)) return;
+      renderModes.getMaterials(child).forEach((material) => {
+        material.clippingPlanes = activePlanes;
+        material.needsUpdate = true;
+      });
+    });
+  }
+
+  function updateActive() {
+    horizontal.setActive(enabled.horizontal || isPlanView);
+    vertical.setActive(enabled.vertical);
+    applyPlanes();
+  }
+
+  function setValue(cut, value) {
+    cut.value = THREE.MathUtils.clamp(value, cut.range.min, cut.range.max);
+    cut.updatePlane();
+  }
+
+  // Plane ranges follow the model bounds
+  function updateRanges() {
+    horizontal.range = { min: bounds.min.y, max: bounds.max.y + 0.1 };
+    const axis = vertical.axis;
+    vertical.range = { min: bounds.min[axis], max: bounds.max[axis] };
+    cuts.forEach((cut) => setValue(cut, cut.value));
+  }
+
+  function setModel(root) {
+    model = root;
+    bounds.setFromObject(root);
+    bounds.getCenter(boundsCenter);
+    bounds.getSize(boundsSize);
+
+    const solids = [];
+    root.traverse((child) => {
+      if (!(child instanceof THREE.Mesh)) return;
+      meshBounds.setFromObject(child).getSize(meshSize);
+      if (Math.min(meshSize.x, meshSize.y, meshSize.z) > FLAT_SIZE) {
+        solids.push(child);
+      }
+    });
+    cuts.forEach((cut) => cut.setMeshes(solids));
+
+    updateRanges();
+    // The first model centres the vertical cut; later ones (the full model
+    // after the proxy, rooms) keep where the user put it
+    if (!hasBounds) setValue(vertical, boundsCenter[vertical.axis]);
+    hasBounds = true;
+    applyPlanes();
+  }
+
+  function setEnabled(name, value) {
+    enabled[name] = value;
+    updateActive();
+  }
+
+  function setAxis(axis) {
+    if (!SECTION_AXES.includes(axis)) {
+      throw new Error(`Unknown section axis "${axis}"`);
+    }
+    vertical.axis = axis;
+    updateRanges();
+    setValue(vertical, boundsCenter[axis]);
+  }
+
+  function flip() {
+    vertical.isFlipped = !vertical.isFlipped;
+    vertical.updatePlane();
+  }
+
+  // The floor plan shows the horizontal cut whether or not it is enabled
+  function setPlanView(active) {
+    if (active === isPlanView) return;
+    isPlanView = active;
+    updateActive();
+    onChange?.();
+  }
+
+  // Whether a point has been cut away (for picking through the cut)
+  function isClipped(point) {
+    return activePlanes.some((plane) => plane.distanceToPoint(point) < 0);
+  }
+
+  // Parameter along an axis line of the point closest to the pointer ray
+  function axisParameter(origin, direction) {
+    const { ray } = handleRaycaster;
+    const w = origin.clone().sub(ray.origin);
+    const b = direction.dot(ray.direction);
+    const denominator = 1 - b * b;
+    if (denominator < 1e-6) return null; // Looking straight along the axis
+    return (b * ray.direction.dot(w) - direction.dot(w)) / denominator;
+  }
+
+  function pickHandle(pointer, camera) {
+    handleRaycaster.setFromCamera(pointer, camera);
+    const handles = cuts
+      .filter((cut) => cut.handle.visible)
+      .map((cut) => cut.handle);
+    const [hit] = handleRaycaster.intersectObjects(handles, true);
+    if (!hit) return null;
+    return cuts.find((cut) => cut.handle === hit.object.parent) ?? null;
+  }
+
+  function setHovered(cut) {
+    if (cut === hovered) return;
+    hovered?.handle.children[0].material.color.set(HANDLE_COLOR);
+    hovered = cut;
+    hovered?.handle.children[0].material.color.set(HANDLE_HOVER_COLOR);
+  }
+
+  // Highlights the handle under the pointer; true if there is one
+  function hoverHandle(pointer, camera) {
+    if (dragging) return true;
+    setHovered(pointer ? pickHandle(pointer, camera) : null);
+    return hovered !== null;
+  }
+
+  // Start dragging the handle under the pointer. Returns false if there is
+  // none, so the caller can handle the pointer itself.
+  function startDrag(pointer, camera) {
+    const cut = pickHandle(pointer, camera);
+    if (!cut) return false;
+    const origin = cut.handle.position.clone();
+    const startParameter = axisParameter(origin, AXIS_VECTORS[cut.axis]);
+    if (startParameter === null) return false;
+    dragging = { cut, startParameter, startValue: cut.value, origin };
+    setHovered(cut);
+    return true;
+  }
+
+  function drag(pointer, camera) {
+    if (!dragging) return;
+    const { cut, startParameter, startValue, origin } = dragging;
+    handleRaycaster.setFromCamera(pointer, camera);
+    const parameter = axisParameter(origin, AXIS_VECTORS[cut.axis]);
+    if (parameter === null) return;
+    setValue(cut, startValue + parameter - startParameter);
+    onChange?.();
+  }
+
+  function endDrag() {
+    dragging = null;
+  }
+
+  // Place caps and handles for this frame's camera and follow the model
+  function update(camera) {
+    if (!model || activePlanes.length === 0) return;
+
+    // Handles sit on their plane near what the camera is looking at
+    camera.getWorldPosition(cameraPosition);
+    if (camera.isOrthographicCamera) {
+      focus.set(cameraPosition.x, boundsCenter.y, cameraPosition.z);
+    } else {
+      camera.getWorldDirection(forward);
+      focus
+        .copy(cameraPosition)
+        .addScaledVector(forward, HANDLE_FOCUS_DISTANCE);
+    }
+    bounds.clampPoint(focus, focus);
+    const capSize = boundsSize.length() * 1.5;
+
+    cuts.forEach((cut) => {
+      if (!cut.isActive) return;
+      cut.stencilGroup.children.forEach((mesh) => {
+        mesh.matrix.copy(mesh.userData.source.matrixWorld);
+        mesh.matrixWorldNeedsUpdate = true;
+      });
+
+      cut.plane.projectPoint(boundsCenter, cut.cap.position);
+      cut.cap.quaternion.setFromUnitVectors(AXIS_VECTORS.z, cut.plane.normal);
+      cut.cap.scale.setScalar(capSize);
+
+      // A horizontal handle can't be dragged from straight above
+      const { handle } = cut;
+      handle.visible = !(camera.isOrthographicCamera && cut === horizontal);
+      if (dragging?.cut !== cut) cut.plane.projectPoint(focus, handle.position);
+      handle.quaternion.setFromUnitVectors(
+        AXIS_VECTORS.y,
+        AXIS_VECTORS[cut.axis],
+      );
+      handle.scale.setScalar(
+        camera.isOrthographicCamera
+          ? ((camera.top - camera.bottom) / camera.zoom) * PLAN_HANDLE_SIZE
+          : cameraPosition.distanceTo(handle.position) * HANDLE_SIZE,
+      );
+    });
+  }
+
+  // Variant and render mode changes put new materials on the model
+  function refresh() {
+    applyPlanes();
+  }
+
+  horizontal.updatePlane();
+  vertical.updatePlane();
+
+  return {
+    setModel,
+    refresh,
+    setEnabled,
+    setHeight: (value) => setValue(horizontal, value),
+    setOffset: (value) => setValue(vertical, value),
+    setAxis,
+    flip,
+    setPlanView,
+    isClipped,
+    hoverHandle,
+    startDrag,
+    drag,
+    endDrag,
+    update,
+    get enabled() {
+      return { ...enabled };
+    },
+    get height() {
+      return horizontal.value;
+    },
+    get heightRange() {
+      return horizontal.range;
+    },
+    get offset() {
+      return vertical.value;
+    },
+    get offsetRange() {
+      return vertical.range;
+    },
+    get axis() {
+      return vertical.axis;
+    },
+    get isFlipped() {
+      return vertical.isFlipped;
+    },
+    get isDragging() {
+      return dragging !== null;
+    },
+  };
+}
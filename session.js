@@ -0,0 +1,160 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Co-Viewing Sessions ---
+// Connects to a WebSocket relay (scripts/session-relay.js or anything that
+// speaks the same JSON messages) and shares camera states with everyone in
+// the same session. One participant presents; the others follow the
+// presenter's camera, or look around on their own and rejoin later. Asking
+// to present while someone else is presenting joins as a follower; the
+// welcome says which role was given.
+//
+// Messages are JSON text frames:
+//   to the relay    { type: 'hello', name, role }, { type: 'state', state }
+//   from the relay  { type: 'welcome', id, role, presenterId, peers },
+//                   { type: 'join', peer }, { type: 'leave', id },
+//                   { type: 'presenter', id }, { type: 'state', id, state }
+// A peer is { id, name, role, state }; a state is the viewer's camera state
+// (see getCameraState in index.js).
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+const SEND_INTERVAL = 100; // ms between camera updates
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000]; // ms, then the last again
+
+// onChange() is called when the connection or the participants change,
+// onState(peer) when a peer's camera moves
+export function createSession({
+  url,
+  sessionId,
+  name,
+  role,
+  onChange,
+  onState,
+}) {
+  const peers = new Map(); // Everyone else, by id
+  let id = null;
+  let givenRole = role; // By the relay; role is the one asked for
+  let presenterId = null;
+  let socket = null;
+  let status = 'connecting'; // 'connected', 'reconnecting' or 'closed'
+  let attempt = 0;
+  let lastSentTime = 0;
+  let lastSentState = '';
+  let reconnectTimer = 0;
+
+  function handleMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        id = message.id;
+        givenRole = message.role ?? role;
+        presenterId = message.presenterId;
+        peers.clear();
+        message.peers.forEach((peer) => peers.set(peer.id, peer));
+        break;
+      case 'join':
+        peers.set(message.peer.id, message.peer);
+        break;
+      case 'leave':
+        peers.delete(message.id);
+        break;
+      case 'presenter':
+        presenterId = message.id;
+        break;
+      case 'state': {
+        const peer = peers.get(message.id);
+        if (!peer) return;
+        peer.state = message.state;
+        onState(peer);
+        return;
+      }
+      default:
+        return;
+    }
+    onChange();
+  }
+
+  function connect() {
+    const target = new URL(url);
+    target.searchParams.set('session', sessionId);
+    socket = new WebSocket(target);
+
+    socket.addEventListener('open', () => {
+      attempt = 0;
+      status = 'connected';
+      lastSentState = ''; // The relay forgot us; send the camera again
+      socket.send(JSON.stringify({ type: 'hello', name, role }));
+      onChange();
+    });
+    socket.addEventListener('message', (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch {
+        return; // Not ours
+      }
+      handleMessage(message);
+    });
+    socket.addEventListener('close', () => {
+      id = null;
+      presenterId = null;
+      peers.clear();
+      if (status === 'closed') return;
+      status = 'reconnecting';
+      const delay =
+        RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+      attempt++;
+      reconnectTimer = setTimeout(connect, delay);
+      onChange();
+    });
+  }
+
+  // Share the camera state, at most every SEND_INTERVAL and only when it
+  // has changed (called every frame)
+  function sendState(state) {
+    if (status !== 'connected') return;
+    const now = performance.now();
+    if (now - lastSentTime < SEND_INTERVAL) return;
+    const json = JSON.stringify({ type: 'state', state });
+    if (json === lastSentState) return;
+    lastSentTime = now;
+    lastSentState = json;
+    socket.send(json);
+  }
+
+  function close() {
+    status = 'closed';
+    clearTimeout(reconnectTimer);
+    socket?.close();
+    peers.clear();
+    onChange();
+  }
+
+  connect();
+
+  return {
+    sendState,
+    close,
+    get role() {
+      return givenRole;
+    },
+    get id() {
+      return id;
+    },
+    get status() {
+      return status;
+    },
+    get peers() {
+      return peers;
+    },
+    get presenterId() {
+      return presenterId;
+    },
+    // The presenting peer, or null (also when that is us)
+    get presenter() {
+      return peers.get(presenterId) ?? null;
+    },
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Saved Settings ---
+// localStorage throws in some private browsing modes (and when full), so
+// reads fall back to nothing and failed writes are dropped: whatever was
+// chosen still applies for this visit.
+
+export function readStored(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+export function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // Not saved
+  }
+}
+
+// A saved object, or {} when there is none or it doesn't parse
+export function readStoredJSON(key) {
+  try {
+    return JSON.parse(readStored(key)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export function writeStoredJSON(key, value) {
+  writeStored(key, JSON.stringify(value));
+}
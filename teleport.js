@@ -0,0 +1,116 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Click-to-Teleport ---
+// Picks walkable floor points under the pointer and shows a ring marker
+// where the camera will land. The movement itself is done by the caller.
+
+// Surfaces steeper than this (angle from straight up) are not walkable.
+const MAX_WALKABLE_SLOPE = THREE.MathUtils.degToRad(35);
+const MIN_NORMAL_Y = Math.cos(MAX_WALKABLE_SLOPE);
+
+// Returns the material that was hit, taking multi-material meshes into account.
+function getHitMaterial(hit) {
+  const material = hit.object.material;
+  if (Array.isArray(material)) {
+    return hit.face ? material[hit.face.materialIndex] : null;
+  }
+  return material;
+}
+
+// walkableNames: mesh or material names that count as floor. When empty,
+// every surface facing up is walkable. isClipped(point) tells whether a
+// hit lies in geometry cut away by the section tool.
+export function createTeleportController({
+  scene,
+  camera,
+  raycaster,
+  walkableNames = [],
+  isClipped = () => false,
+}) {
+  const walkable = new Set(walkableNames);
+  const worldNormal = new THREE.Vector3();
+  const up = new THREE.Vector3(0, 1, 0);
+  const down = new THREE.Vector3(0, -1, 0);
+  const origin = new THREE.Vector3();
+
+  // Ground-projected cursor ring
+  const marker = new THREE.Mesh(
+    new THREE.RingGeometry(0.18, 0.25, 48),
+    new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.8,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    }),
+  );
+  marker.renderOrder = 1;
+  marker.visible = false;
+  scene.add(marker);
+
+  function isWalkable(hit) {
+    if (!hit.face) return false;
+
+    // Only surfaces facing up (no walls, no ceilings)
+    worldNormal
+      .copy(hit.face.normal)
+      .transformDirection(hit.object.matrixWorld);
+    if (worldNormal.y < MIN_NORMAL_Y) return false;
+
+    if (walkable.size === 0) return true;
+    const material = getHitMaterial(hit);
+    return (
+      walkable.has(hit.object.name) ||
+      (material !== null && walkable.has(material.name))
+    );
+  }
+
+  // The first hit along the ray that hasn't been cut away
+  function firstHit(model) {
+    return (
+      raycaster
+        .intersectObject(model, true)
+        .find((hit) => !isClipped(hit.point)) ?? null
+    );
+  }
+
+  // Returns the walkable hit under the pointer (NDC coordinates) or null.
+  // Only the first surface along the ray counts, so nothing behind a wall
+  // can ever become a target.
+  function pick(model, pointer) {
+    if (!model) return null;
+    raycaster.setFromCamera(pointer, camera);
+    const hit = firstHit(model);
+    if (!hit || !isWalkable(hit)) return null;
+    return { point: hit.point.clone(), normal: worldNormal.clone() };
+  }
+
+  // Returns the walkable floor straight below (x, fromY, z) or null. Used by
+  // the floor plan, where the ceiling is cut away at fromY.
+  function pickBelow(model, x, z, fromY) {
+    if (!model) return null;
+    raycaster.set(origin.set(x, fromY, z), down);
+    const hit = firstHit(model);
+    if (!hit || !isWalkable(hit)) return null;
+    return { point: hit.point.clone(), normal: worldNormal.clone() };
+  }
+
+  function showMarker(target) {
+    // Lift slightly off the floor to avoid z-fighting
+    marker.position.copy(target.point).addScaledVector(target.normal, 0.01);
+    marker.quaternion.setFromUnitVectors(up, target.normal);
+    marker.rotateX(-Math.PI / 2); // RingGeometry lies in the XY plane
+    marker.visible = true;
+  }
+
+  function hideMarker() {
+    marker.visible = false;
+  }
+
+  return { pick, pickBelow, showMarker, hideMarker };
+}
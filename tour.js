@@ -0,0 +1,202 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Cinematic Guided Tour ---
+// The tour is a looping timeline: dwell at a stop, travel to the next one,
+// dwell there, and so on. First-person legs follow a position spline
+// (through the stop's "via" waypoints) and a look-at spline, eased in and
+// out; legs to or from a floor-plan stop are cuts. Everything is driven by
+// elapsed seconds, so a tour takes the same time at any frame rate.
+//
+// update(delta) returns the pose to show:
+//   { mode: 'first-person', position, yaw, pitch, stop }
+//   { mode: 'floor-plan', location, stop }
+
+const TRAVEL_SPEED = 0.9; // m/s along the path
+const MIN_TRAVEL_TIME = 1.5; // s, so short hops still read as a move
+const CUT_TIME = 1.5; // s, for legs to or from the floor plan
+const LOOK_DISTANCE = 2; // m, how far ahead the look-at points sit
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Unit view direction for a yaw/pitch (yaw 0 looks down -Z)
+function viewDirection(yaw, pitch) {
+  return new THREE.Vector3(
+    -Math.sin(yaw) * Math.cos(pitch),
+    Math.sin(pitch),
+    -Math.cos(yaw) * Math.cos(pitch),
+  );
+}
+
+function lookTarget(position, yaw, pitch) {
+  return position
+    .clone()
+    .addScaledVector(viewDirection(yaw, pitch), LOOK_DISTANCE);
+}
+
+// A leg from one pose to a stop, as position and look-at curves
+function createLeg(from, to) {
+  if (from.mode === 'floor-plan' || to.viewpoint.mode === 'floor-plan') {
+    return { type: 'cut', duration: CUT_TIME, to };
+  }
+
+  const points = [from.position, ...to.via, to.viewpoint.position];
+  const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+
+  // Through waypoints the camera looks along the path, keeping level
+  const looks = points.map((point, index) => {
+    if (index === 0) return lookTarget(from.position, from.yaw, from.pitch);
+    if (index === points.length - 1) {
+      const { rotation } = to.viewpoint;
+      return lookTarget(point, rotation.y, rotation.x);
+    }
+    const tangent = curve.getTangent(index / (points.length - 1));
+    tangent.y = 0;
+    return point.clone().addScaledVector(tangent.normalize(), LOOK_DISTANCE);
+  });
+  const lookCurve = new THREE.CatmullRomCurve3(looks, false, 'centripetal');
+
+  return {
+    type: 'travel',
+    duration: Math.max(MIN_TRAVEL_TIME, curve.getLength() / TRAVEL_SPEED),
+    to,
+    curve,
+    lookCurve,
+  };
+}
+
+function stopPose(stop) {
+  const { viewpoint } = stop;
+  if (viewpoint.mode === 'floor-plan') {
+    return { mode: 'floor-plan', location: viewpoint, stop };
+  }
+  return {
+    mode: 'first-person',
+    position: viewpoint.position.clone(),
+    yaw: viewpoint.rotation.y,
+    pitch: viewpoint.rotation.x,
+    stop,
+  };
+}
+
+function legPose(leg, elapsed) {
+  if (leg.type === 'cut') return stopPose(leg.to);
+
+  const t = smoothstep(THREE.MathUtils.clamp(elapsed / leg.duration, 0, 1));
+  const position = leg.curve.getPoint(t);
+  const direction = leg.lookCurve.getPoint(t).sub(position).normalize();
+  return {
+    mode: 'first-person',
+    position,
+    yaw: Math.atan2(-direction.x, -direction.z),
+    pitch: Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)),
+    stop: leg.to,
+  };
+}
+
+// stops: the manifest's tour stops ({ viewpoint, dwell, caption, via })
+export function createTour(stops) {
+  // Entries: { type: 'dwell' | 'travel' | 'cut', start, duration, to, ... }
+  const timeline = [];
+  const stopStartTimes = [];
+  let duration = 0;
+
+  stops.forEach((stop, index) => {
+    stopStartTimes.push(duration);
+    timeline.push({
+      type: 'dwell',
+      start: duration,
+      duration: stop.dwell,
+      to: stop,
+    });
+    duration += stop.dwell;
+
+    if (stops.length < 2) return;
+    const next = stops[(index + 1) % stops.length];
+    const leg = createLeg(stopPose(stop), next);
+    timeline.push({ ...leg, start: duration });
+    duration += leg.duration;
+  });
+
+  let time = 0;
+  let isPlaying = false;
+  let leadIn = null; // Leg from wherever the camera was to the first stop
+  let leadInElapsed = 0;
+
+  function entryAt(t) {
+    for (let i = timeline.length - 1; i >= 0; i--) {
+      if (timeline[i].start <= t) return timeline[i];
+    }
+    return timeline[0];
+  }
+
+  // Start at a stop. From a pose away from it, travel there first.
+  function start(stopIndex, fromPose = null) {
+    time = stopStartTimes[stopIndex] ?? 0;
+    leadIn = fromPose ? createLeg(fromPose, stops[stopIndex]) : null;
+    leadInElapsed = 0;
+    isPlaying = true;
+  }
+
+  function seek(t) {
+    leadIn = null;
+    time = THREE.MathUtils.clamp(t, 0, duration);
+  }
+
+  // Advance by delta seconds and return the pose to show
+  function update(delta) {
+    if (stops.length === 0) return null;
+
+    if (leadIn) {
+      if (isPlaying) leadInElapsed += delta;
+      if (leadInElapsed < leadIn.duration) {
+        return legPose(leadIn, leadInElapsed);
+      }
+      leadIn = null;
+    }
+
+    if (isPlaying && duration > 0) time = (time + delta) % duration;
+    const entry = entryAt(time);
+    return entry.type === 'dwell'
+      ? stopPose(entry.to)
+      : legPose(entry, time - entry.start);
+  }
+
+  // Caption of the stop being dwelt at, if any
+  function getCaption() {
+    if (leadIn || stops.length === 0) return '';
+    const entry = entryAt(time);
+    return entry.type === 'dwell' ? entry.to.caption : '';
+  }
+
+  return {
+    start,
+    seek,
+    update,
+    getCaption,
+    pause() {
+      isPlaying = false;
+    },
+    resume() {
+      isPlaying = true;
+    },
+    get isPlaying() {
+      return isPlaying;
+    },
+    get time() {
+      return time;
+    },
+    get duration() {
+      return duration;
+    },
+    // Index of the stop being travelled to or dwelt at
+    get stopIndex() {
+      if (stops.length === 0) return -1;
+      return stops.indexOf(leadIn ? leadIn.to : entryAt(time).to);
+    },
+  };
+}
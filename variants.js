@@ -0,0 +1,283 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+
+// --- Material Variants (Configurator) ---
+// Variant sets offer alternative finishes: countertops, floors, wall colors.
+// They come from two places:
+//   - the manifest's "variants": each option overrides the color, texture,
+//     roughness or metalness of materials by name
+//   - the model's KHR_materials_variants extension: one "Finish" set whose
+//     options swap whole materials on the meshes that map them
+// With nothing selected a set shows the model as authored. The selection
+// ({ setId: optionId }) survives model swaps (proxy -> full model, rooms),
+// so it can come from a view link before the model has loaded.
+// Textures that a change leaves unused are disposed.
+
+const GLTF_EXTENSION = 'KHR_materials_variants';
+const GLTF_SET_ID = 'finish';
+
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// Every texture a material references
+function texturesOf(material) {
+  return Object.values(material).filter((value) => value?.isTexture);
+}
+
+export function createVariantSwitcher({ renderModes }) {
+  const textureLoader = new THREE.TextureLoader();
+
+  let configSets = []; // From the manifest
+  let gltfSet = null; // From KHR_materials_variants, if any model has it
+  let selection = {};
+
+  // Loaded models: { root, meshes, parser, variantIds }. Each mesh entry is
+  // { mesh, authored, current, mappings } with the realistic materials.
+  const models = [];
+  // Material -> its authored { color, map, roughness, metalness }
+  const originals = new Map();
+  // Variant texture url -> Promise<Texture>
+  const textures = new Map();
+  // Applying is async (textures, glTF materials); changes queue up
+  let applying = Promise.resolve();
+
+  function getSets() {
+    return gltfSet ? [...configSets, gltfSet] : configSets;
+  }
+
+  function loadTexture(url) {
+    if (!textures.has(url)) {
+      const promise = textureLoader.loadAsync(url).then((texture) => {
+        texture.flipY = false; // glTF UV convention
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+      });
+      textures.set(url, promise);
+    }
+    return textures.get(url);
+  }
+
+  function remember(material) {
+    if (originals.has(material)) return;
+    originals.set(material, {
+      color: material.color?.clone(),
+      map: material.map,
+      roughness: material.roughness,
+      metalness: material.metalness,
+    });
+  }
+
+  function restore(material, original) {
+    if (original.color) material.color.copy(original.color);
+    material.map = original.map;
+    if (original.roughness !== undefined) {
+      material.roughness = original.roughness;
+    }
+    if (original.metalness !== undefined) {
+      material.metalness = original.metalness;
+    }
+    material.needsUpdate = true;
+  }
+
+  // KHR_materials_variants: put each mapped mesh on the material of the
+  // selected variant, or back on its authored one
+  async function applyGltfVariant() {
+    const optionId = selection[GLTF_SET_ID] ?? null;
+    const outgoing = new Set();
+
+    for (const { meshes, parser, variantIds } of models) {
+      const variantIndex = variantIds.indexOf(optionId);
+      for (const entry of meshes) {
+        if (!entry.mappings) continue;
+        const mapping = entry.mappings.find((m) =>
+          m.variants.includes(variantIndex),
+        );
+        const material = mapping
+          ? await parser.getDependency('material', mapping.material)
+          : entry.authored;
+        if (entry.current === material) continue;
+        outgoing.add(entry.current);
+        renderModes.setMeshMaterial(entry.mesh, material);
+        entry.current = material;
+      }
+    }
+    return outgoing;
+  }
+
+  // Manifest variants: reset every overridden material, then apply the
+  // selected options in set order (later sets win)
+  async function applyConfigVariants() {
+    originals.forEach((original, material) => restore(material, original));
+
+    const materialsByName = new Map();
+    models.forEach(({ meshes }) =>
+      meshes.forEach(({ mesh }) =>
+        renderModes.getMaterials(mesh).forEach((material) => {
+          if (!materialsByName.has(material.name)) {
+            materialsByName.set(material.name, new Set());
+          }
+          materialsByName.get(material.name).add(material);
+        }),
+      ),
+    );
+
+    for (const set of configSets) {
+      const option = set.options.find((o) => o.id === selection[set.id]);
+      if (!option) continue;
+      for (const [name, override] of Object.entries(option.materials)) {
+        const map = override.map ? await loadTexture(override.map) : null;
+        materialsByName.get(name)?.forEach((material) => {
+          remember(material);
+          if (override.color) material.color.set(override.color);
+          if (map) material.map = map;
+          if (override.roughness !== undefined && 'roughness' in material) {
+            material.roughness = override.roughness;
+          }
+          if (override.metalness !== undefined && 'metalness' in material) {
+            material.metalness = override.metalness;
+          }
+          material.needsUpdate = true;
+        });
+      }
+    }
+  }
+
+  // Free what the current selection no longer uses
+  function disposeUnused(outgoingMaterials) {
+    const inUse = new Set();
+    models.forEach(({ meshes }) =>
+      meshes.forEach(({ mesh }) =>
+        renderModes
+          .getMaterials(mesh)
+          .forEach((material) =>
+            texturesOf(material).forEach((t) => inUse.add(t)),
+          ),
+      ),
+    );
+
+    outgoingMaterials.forEach((material) =>
+      texturesOf(material).forEach((texture) => {
+        if (!inUse.has(texture)) texture.dispose();
+      }),
+    );
+
+    const usedUrls = new Set();
+    configSets.forEach((set) => {
+      const option = set.options.find((o) => o.id === selection[set.id]);
+      Object.values(option?.materials ?? {}).forEach((override) => {
+        if (override.map) usedUrls.add(override.map);
+      });
+    });
+    textures.forEach((promise, url) => {
+      if (usedUrls.has(url)) return;
+      textures.delete(url);
+      promise.then((texture) => texture.dispose()).catch(() => {});
+    });
+  }
+
+  function apply() {
+    applying = applying
+      .then(async () => {
+        const outgoing = await applyGltfVariant();
+        await applyConfigVariants();
+        disposeUnused(outgoing);
+      })
+      .catch((error) => {
+        console.error('An error happened while applying variants:', error);
+      });
+    return applying;
+  }
+
+  function setConfig(sets) {
+    configSets = sets;
+  }
+
+  // Register a loaded glTF (the model or a room) and apply the selection
+  function addModel(gltf) {
+    const meshes = [];
+    gltf.scene.traverse((child) => {
+      if (!(child instanceof THREE.Mesh)) return;
+      // The mesh may be showing its unlit copy; variants swap the PBR one
+      const authored = renderModes.getMaterials(child).at(-1);
+      meshes.push({
+        mesh: child,
+        authored,
+        current: authored,
+        mappings: child.userData.gltfExtensions?.[GLTF_EXTENSION]?.mappings,
+      });
+    });
+
+    const variants =
+      gltf.userData.gltfExtensions?.[GLTF_EXTENSION]?.variants ?? [];
+    const variantIds = variants.map((variant, index) =>
+      variant.name ? slugify(variant.name) : `variant-${index}`,
+    );
+    if (variants.length > 0) {
+      gltfSet = {
+        id: GLTF_SET_ID,
+        name: 'Finish',
+        options: variants.map((variant, index) => ({
+          id: variantIds[index],
+          name: variant.name ?? `Variant ${index + 1}`,
+        })),
+      };
+    }
+
+    models.push({ root: gltf.scene, meshes, parser: gltf.parser, variantIds });
+    return apply();
+  }
+
+  // Forget a model that has been replaced (its materials go with it)
+  function removeModel(root) {
+    const index = models.findIndex((model) => model.root === root);
+    if (index === -1) return;
+    models[index].meshes.forEach(({ mesh }) =>
+      renderModes.getMaterials(mesh).forEach((m) => originals.delete(m)),
+    );
+    models.splice(index, 1);
+  }
+
+  // Pick an option of a set; null goes back to the model as authored
+  function select(setId, optionId) {
+    selection = { ...selection };
+    if (optionId) {
+      selection[setId] = optionId;
+    } else {
+      delete selection[setId];
+    }
+    return apply();
+  }
+
+  // Replace the whole selection (e.g. from a link). Unknown sets and
+  // options have no effect.
+  function setSelection(next) {
+    selection = { ...next };
+    return apply();
+  }
+
+  function reset() {
+    return setSelection({});
+  }
+
+  return {
+    setConfig,
+    addModel,
+    removeModel,
+    select,
+    setSelection,
+    reset,
+    get sets() {
+      return getSets();
+    },
+    get selection() {
+      return selection;
+    },
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as THREE from 'three';
+import { MeshBVH, StaticGeometryGenerator } from 'three-mesh-bvh';
+
+// --- Capsule Walker ---
+// First-person character controller. The camera (eye) sits on top of a
+// vertical capsule that is pushed out of the interior mesh every frame,
+// while gravity keeps the eye at a fixed height above the floor below and
+// small level changes (thresholds, single steps) are stepped up smoothly.
+//
+// All tests run against a BVH built once from the model in world space, so
+// the cost stays low even for large interiors.
+
+const GRAVITY = -9.8; // m/s^2
+const STEP_UP_SPEED = 15; // How quickly the eye rises onto a step (1/s)
+const MAX_SUBSTEP = 0.1; // Largest horizontal move tested at once (m)
+
+export function createWalker({
+  eyeHeight = 1,
+  radius = 0.25,
+  stepHeight = 0.3,
+  headroom = 0.1,
+} = {}) {
+  let bvh = null;
+  let verticalVelocity = 0;
+  let isGrounded = false;
+
+  const segment = new THREE.Line3();
+  const capsuleBox = new THREE.Box3();
+  const triPoint = new THREE.Vector3();
+  const capsulePoint = new THREE.Vector3();
+  const push = new THREE.Vector3();
+  const downRay = new THREE.Ray(
+    new THREE.Vector3(),
+    new THREE.Vector3(0, -1, 0),
+  );
+  const step = new THREE.Vector3();
+
+  // Merges every mesh under root into a single world-space geometry and
+  // builds its BVH. Call again if the static geometry changes.
+  function setCollider(root) {
+    root.updateMatrixWorld(true);
+    const generator = new StaticGeometryGenerator(root);
+    generator.attributes = ['position'];
+    const geometry = generator.generate();
+    bvh?.geometry.dispose();
+    bvh = new MeshBVH(geometry);
+  }
+
+  function hasCollider() {
+    return bvh !== null;
+  }
+
+  // The capsule runs from just above step height to just above the eye, so
+  // the floor and small ledges never push it sideways; they are handled by
+  // the ground test instead.
+  function updateSegment(eye) {
+    segment.start.set(eye.x, eye.y - eyeHeight + stepHeight + radius, eye.z);
+    segment.end.set(eye.x, eye.y + headroom - radius, eye.z);
+    if (segment.end.y < segment.start.y) segment.end.y = segment.start.y;
+  }
+
+  // Pushes the capsule at eye out of any geometry it overlaps, horizontally.
+  function resolvePenetration(eye) {
+    updateSegment(eye);
+    capsuleBox.makeEmpty();
+    capsuleBox.expandByPoint(segment.start);
+    capsuleBox.expandByPoint(segment.end);
+    capsuleBox.expandByScalar(radius);
+
+    bvh.shapecast({
+      intersectsBounds: (box) => box.intersectsBox(capsuleBox),
+      intersectsTriangle: (tri) => {
+        const distance = tri.closestPointToSegment(
+          segment,
+          triPoint,
+          capsulePoint,
+        );
+        if (distance < radius) {
+          push.subVectors(capsulePoint, triPoint);
+          push.y = 0;
+          if (push.lengthSq() < 1e-10) return;
+          push.normalize().multiplyScalar(radius - distance);
+          segment.start.add(push);
+          segment.end.add(push);
+        }
+      },
+    });
+
+    eye.x = segment.start.x;
+    eye.z = segment.start.z;
+  }
+
+  // Height of the floor under eye, or null when there is none in reach.
+  function findGround(eye) {
+    downRay.origin.set(eye.x, eye.y - eyeHeight + stepHeight, eye.z);
+    const hit = bvh.raycastFirst(downRay, THREE.DoubleSide);
+    return hit ? hit.point.y : null;
+  }
+
+  // Moves the eye from current towards desired and returns the resolved
+  // position in current. Horizontal motion is sub-stepped so fast moves
+  // cannot tunnel through thin walls or corners.
+  function move(current, desired, delta) {
+    if (!bvh) {
+      current.copy(desired);
+      return current;
+    }
+
+    step.subVectors(desired, current);
+    step.y = 0;
+    const steps = Math.max(1, Math.ceil(step.length() / MAX_SUBSTEP));
+    step.divideScalar(steps);
+    for (let i = 0; i < steps; i++) {
+      current.add(step);
+      resolvePenetration(current);
+    }
+
+    // Gravity and step-up keep the eye at eyeHeight above the floor
+    const groundY = findGround(current);
+    const restingY = groundY === null ? null : groundY + eyeHeight;
+
+    if (restingY === null) {
+      // Outside the model (no floor below): hold height rather than fall forever
+      verticalVelocity = 0;
+      isGrounded = false;
+    } else if (current.y <= restingY + 1e-3) {
+      // On the floor or below a step: rise smoothly onto it
+      current.y = THREE.MathUtils.lerp(
+        current.y,
+        restingY,
+        Math.min(1, STEP_UP_SPEED * delta),
+      );
+      if (Math.abs(current.y - restingY) < 1e-3) current.y = restingY;
+      verticalVelocity = 0;
+      isGrounded = true;
+    } else {
+      verticalVelocity += GRAVITY * delta;
+      current.y += verticalVelocity * delta;
+      if (current.y < restingY) {
+        current.y = restingY;
+        verticalVelocity = 0;
+      }
+      isGrounded = current.y === restingY;
+    }
+
+    return current;
+  }
+
+  // Forget any fall in progress (e.g. after a teleport or preset jump).
+  function reset() {
+    verticalVelocity = 0;
+  }
+
+  return {
+    setCollider,
+    hasCollider,
+    move,
+    reset,
+    get isGrounded() {
+      return isGrounded;
+    },
+  };
+}